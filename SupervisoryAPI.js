@@ -1,102 +1,301 @@
 'use strict'
 const axios = require('axios');
-const fs = require('fs');
 
 // Load configuration
 const config = require('./config.json');
-const apiUrl = config.api.url;
 
-const SupervisoryAPI = {
+/*
+ * Supervisory API client. config.json "api":
+ *   "api": { "url": "http://localhost:9001/api/v1/", "timeout": 10000,
+ *            "auth": { "type": "bearer", "tokenEnv": "SUPERVISORY_API_TOKEN" },
+ *            "retry": { "attempts": 3, "delay": 500 } }
+ *   auth     { "type": "bearer", "token" } or { "type": "apiKey", "key", "header": "X-API-Key" };
+ *            "tokenEnv" / "keyEnv" read the secret from an environment variable instead; it is read
+ *            for each call, so a missing secret fails the calls (code ERR_API_AUTH), not the require
+ *   timeout  ms per request (0 = none)
+ *   retry    idempotent calls (GET, PUT, DELETE) are tried `attempts` times on network errors, timeouts,
+ *            5xx, 408 and 429, waiting delay, 2 x delay... in between; POSTs are sent once (register.js
+ *            retries them through the queue)
+ * Every call resolves with the axios response or rejects with a SupervisoryApiError.
+ * createSupervisoryAPI(options) builds a client for another API (e.g. replay.js --source api).
+ */
 
-    getStatus: function (machineCode, dateFrom)
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete', 'head'];
+
+class SupervisoryApiError extends Error
+{
+    /**
+     * @param {string} message
+     * @param {object} details
+     * @param {string} details.method
+     * @param {string} details.url
+     * @param {number|null} details.status HTTP status, null when no answer came (network error, timeout)
+     * @param {string|null} details.code axios / system code (ECONNREFUSED, ECONNABORTED, ERR_BAD_RESPONSE...)
+     * @param {any} details.data response body
+     * @param {number} details.attempts
+     */
+    constructor(message, details)
     {
-        var formatedDate = moment(dateFrom).format('YYYY-MM-DDTHH:mm:ss');
-        var url = apiUrl + `status/${machineCode}/${formatedDate}`;
-        return axios.get(url).catch(this.requestError);
-    },
+        super(message);
+        this.name = 'SupervisoryApiError';
+        this.method = details.method;
+        this.url = details.url;
+        this.status = details.status;
+        this.code = details.code;
+        this.data = details.data;
+        this.attempts = details.attempts;
+    }
+}
 
-    getCounter: function (machineCode, dateFrom)
+/**
+ * Network errors, timeouts, 5xx, 408 and 429 are worth retrying; other 4xx mean the API will never
+ * accept the request as it is.
+ * @param {Error} error a SupervisoryApiError, or any error with a `status`
+ */
+function isRetryableError(error)
+{
+    const status = error.status;
+    if (status === null || status === undefined)
     {
-        var formatedDate = moment(dateFrom).format('YYYY-MM-DDTHH:mm:ss');
-        var url = apiUrl + `counter/${machineCode}/${formatedDate}`;
-        return axios.get(url).catch(this.requestError);
-    },
+        return true;
+    }
+    return status >= 500 || status === 408 || status === 429;
+}
+
+/** 'YYYY-MM-DDTHH:mm:ss' in local time, as the status / counter / target routes expect */
+async function formatDate(date)
+{
+    // dateformat is an ES module
+    const { default: dateFormat } = await import('dateformat');
+    return dateFormat(new Date(date), "yyyy-mm-dd'T'HH:MM:ss");
+}
 
-    getTarget: function (machineCode, dateFrom)
+/** @returns {object} headers of the "auth" settings */
+function authHeaders(auth)
+{
+    if (!auth || !auth.type)
     {
-        var formatedDate = moment(dateFrom).format('YYYY-MM-DDTHH:mm:ss');
-        var url = apiUrl + `target/${machineCode}/${formatedDate}`;
-        return axios.get(url).catch(this.requestError);
-    },
-    listMachines: function ()
+        return {};
+    }
+    if (auth.type === 'bearer')
     {
-        return axios.get(apiUrl + "machine").catch(this.requestError);
-    },
-
-    listPlants: function ()
+        const token = auth.tokenEnv ? process.env[auth.tokenEnv] : auth.token;
+        if (!token)
+        {
+            throw new Error(`api.auth: no bearer token${auth.tokenEnv ? ` in ${auth.tokenEnv}` : ''}`);
+        }
+        return { Authorization: `Bearer ${token}` };
+    }
+    if (auth.type === 'apiKey')
     {
-        return axios.get(apiUrl + "plant").catch(this.requestError);
-    },
+        const key = auth.keyEnv ? process.env[auth.keyEnv] : auth.key;
+        if (!key)
+        {
+            throw new Error(`api.auth: no API key${auth.keyEnv ? ` in ${auth.keyEnv}` : ''}`);
+        }
+        return { [auth.header || 'X-API-Key']: key };
+    }
+    throw new Error(`api.auth: unknown type "${auth.type}" (bearer, apiKey)`);
+}
 
-    listProcess: function ()
+/**
+ * @param {object} options config.json "api" settings: { url, timeout, auth, retry }
+ */
+function createSupervisoryAPI(options)
+{
+    if (!options || !options.url)
     {
-        return axios.get(apiUrl + "process").catch(this.requestError);
-    },
+        throw new Error('api.url is not configured');
+    }
+    const baseURL = options.url.endsWith('/') ? options.url : options.url + '/';
+    const retry = { attempts: 3, delay: 500, ...options.retry };
+    const client = axios.create({
+        baseURL: baseURL,
+        timeout: options.timeout ?? 10000
+    });
 
-    listTags: function ()
+    async function request(method, route, data)
     {
-        var url = apiUrl + "tag/listenables";
-        console.log("Url : " + url);
-        return axios.get(url);
-    },
+        const headers = requestAuthHeaders(options.auth, method, baseURL + route);
+        const attempts = IDEMPOTENT_METHODS.includes(method) ? Math.max(retry.attempts, 1) : 1;
+        for (let attempt = 1; ; attempt++)
+        {
+            try
+            {
+                return await client.request({ method: method, url: route, data: data, headers: headers });
+            }
+            catch (error)
+            {
+                const apiError = toApiError(error, method, baseURL + route, attempt);
+                if (attempt >= attempts || !isRetryableError(apiError))
+                {
+                    throw apiError;
+                }
+                await new Promise(resolve => setTimeout(resolve, retry.delay * Math.pow(2, attempt - 1)));
+            }
+        }
+    }
 
-    listPartNumberTargets: function ()
-    {
-        return axios.get(apiUrl + "partNumberTarget").catch(this.requestError);
-    },
+    return {
 
-    clearPartNumberTargets: function ()
-    {
-        return axios.delete(apiUrl + "partNumberTarget/clear").catch(this.requestError);
-    },
+        getStatus: async function (machineCode, dateFrom)
+        {
+            return request('get', `status/${machineCode}/${await formatDate(dateFrom)}`);
+        },
 
-    insertPartNumberTargetList: function (partNumberTargetList)
-    {
-        var url = apiUrl + `partNumberTarget/insertList`;
-        return axios.post(url, partNumberTargetList).catch(this.requestError);
-    },
+        getCounter: async function (machineCode, dateFrom)
+        {
+            return request('get', `counter/${machineCode}/${await formatDate(dateFrom)}`);
+        },
 
-    insertPartNumberTargets: function (partNumberTarget)
-    {
-        var machineCode = partNumberTarget.machineCode;
-        var partNumber = partNumberTarget.partNumber;
-        var url = apiUrl + `partNumberTarget/${machineCode}/${partNumber}`;
-        return axios.put(url, partNumberTarget).catch(this.requestError);
-    },
+        getTarget: async function (machineCode, dateFrom)
+        {
+            return request('get', `target/${machineCode}/${await formatDate(dateFrom)}`);
+        },
 
-    listCurrentMachineRuntimes: function ()
-    {
-        return axios.get(apiUrl + "runtime/current").catch(this.requestError);
-    },
+        listMachines: function ()
+        {
+            return request('get', "machine");
+        },
+
+        listPlants: function ()
+        {
+            return request('get', "plant");
+        },
+
+        listProcess: function ()
+        {
+            return request('get', "process");
+        },
+
+        listTags: function ()
+        {
+            return request('get', "tag/listenables");
+        },
+
+        // Registered values of a tag between two dates, oldest first
+        listTagData: function (tagCode, dateFrom, dateTo)
+        {
+            return request('get', `tag-data/${encodeURIComponent(tagCode)}/${dateFrom.toISOString()}/${dateTo.toISOString()}`);
+        },
+
+        listPartNumberTargets: function ()
+        {
+            return request('get', "partNumberTarget");
+        },
+
+        clearPartNumberTargets: function ()
+        {
+            return request('delete', "partNumberTarget/clear");
+        },
 
-    insertMachineRuntime: function (machineRuntime)
+        insertPartNumberTargetList: function (partNumberTargetList)
+        {
+            return request('post', "partNumberTarget/insertList", partNumberTargetList);
+        },
+
+        insertPartNumberTargets: function (partNumberTarget)
+        {
+            var machineCode = partNumberTarget.machineCode;
+            var partNumber = partNumberTarget.partNumber;
+            return request('put', `partNumberTarget/${machineCode}/${partNumber}`, partNumberTarget);
+        },
+
+        listCurrentMachineRuntimes: function ()
+        {
+            return request('get', "runtime/current");
+        },
+
+        insertMachineRuntime: function (machineRuntime)
+        {
+            var machineCode = machineRuntime.machineCode;
+            var partNumber = machineRuntime.partNumber;
+            var routeDeviation = false;
+            return request('put', `runtime/${machineCode}/${partNumber}/${routeDeviation}`);
+        },
+
+        tagChanged: function (tagData)
+        {
+            return request('post', "tag-data", tagData);
+        },
+
+        // Array payload; answers one { status, error } per item, in order (or no body when all were accepted)
+        tagChangedBulk: function (tagDataList)
+        {
+            return request('post', "tag-data/bulk", tagDataList);
+        },
+
+        // { machineCode, state, date, previousState, previousSince, durationMs, signals, conflict }
+        machineStateChanged: function (transition)
+        {
+            return request('post', "machine-state", transition);
+        },
+
+        // Driver warnings, e.g. { message, type: 'queueDataDropped', dropped, reasons } (retention.js)
+        reportWarning: function (warning)
+        {
+            return request('post', "driver-warning", warning);
+        },
+
+        // Write commands waiting for the driver: [{ id, tagCode, value }]
+        listPendingCommands: function ()
+        {
+            return request('get', "command/pending");
+        },
+
+        reportCommandResult: function (result)
+        {
+            return request('put', `command/${result.commandId}/result`, result);
+        },
+    };
+}
+
+/** authHeaders, failing the call with a SupervisoryApiError when the secret is missing */
+function requestAuthHeaders(auth, method, url)
+{
+    try
     {
-        var machineCode = machineRuntime.machineCode;
-        var partNumber = machineRuntime.partNumber;
-        var routeDeviation = false;
-        var url = apiUrl + `runtime/${machineCode}/${partNumber}/${routeDeviation}`;
-        return axios.put(url).catch(this.requestError);
-    },
-
-    tagChanged: function (tagData)
+        return authHeaders(auth);
+    }
+    catch (error)
     {
-        return axios.post(apiUrl + "tag-data", tagData);//.catch(this.requestError);
-    },
+        throw new SupervisoryApiError(`${method.toUpperCase()} ${url} not sent: ${error.message}`, {
+            method: method.toUpperCase(),
+            url: url,
+            status: null,
+            code: 'ERR_API_AUTH',
+            data: null,
+            attempts: 0
+        });
+    }
+}
 
-    requestError: function (response)
+function toApiError(error, method, url, attempts)
+{
+    const status = error.response ? error.response.status : null;
+    let reason;
+    if (status !== null)
     {
-        console.log("Error on API Call");
-    },
-};
+        reason = `HTTP ${status}`;
+    }
+    else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')
+    {
+        reason = 'timeout';
+    }
+    else
+    {
+        reason = error.code || error.message;
+    }
+    return new SupervisoryApiError(`${method.toUpperCase()} ${url} failed: ${reason}${attempts > 1 ? ` (after ${attempts} attempts)` : ''}`, {
+        method: method.toUpperCase(),
+        url: url,
+        status: status,
+        code: error.code || null,
+        data: error.response ? error.response.data : null,
+        attempts: attempts
+    });
+}
+
+const SupervisoryAPI = createSupervisoryAPI(config.api);
 
-module.exports = { SupervisoryAPI }
+module.exports = { SupervisoryAPI, SupervisoryApiError, createSupervisoryAPI, isRetryableError }
@@ -0,0 +1,91 @@
+'use strict'
+
+const deepEqual = require('deep-equal');
+
+/**
+ * Change detection for listened tags.
+ *
+ * Numeric values can have a deadband in tags-to-listen.json:
+ *   "deadband": { "absolute": 0.5 }        changes of 0.5 or less are ignored
+ *   "deadband": { "percent": 2 }           changes of 2% of the last registered value or less are ignored
+ *   "deadband": { "percent": 2, "range": [0, 400] }   percent of the range span (like OPC UA EURange)
+ * With both absolute and percent set, a change has to exceed both.
+ * Structured values (structs, arrays, dates, buffers) are compared deeply, everything else with ===.
+ * Values are compared against the last registered value, so slow drifts are still reported
+ * once they add up to more than the deadband.
+ */
+
+/**
+ * @param {object} tag tags-to-listen.json entry
+ * @returns {{ absolute: number, percent: number, span: number|null }|null} normalized deadband
+ */
+function tagDeadband(tag) {
+	const deadband = tag.deadband;
+	if (deadband == null) {
+		return null;
+	}
+	if (typeof deadband !== 'object') {
+		throw new Error(`Invalid deadband for tag ${tag.tagCode}: expected { absolute, percent }`);
+	}
+
+	const absolute = Number(deadband.absolute || 0);
+	const percent = Number(deadband.percent || 0);
+	if (isNaN(absolute) || absolute < 0 || isNaN(percent) || percent < 0) {
+		throw new Error(`Invalid deadband for tag ${tag.tagCode}: values must be positive numbers`);
+	}
+
+	let span = null;
+	if (deadband.range) {
+		const [low, high] = deadband.range;
+		span = Math.abs(Number(high) - Number(low));
+		if (isNaN(span)) {
+			throw new Error(`Invalid deadband range for tag ${tag.tagCode}: expected [low, high]`);
+		}
+	}
+	return { absolute: absolute, percent: percent, span: span };
+}
+
+/**
+ * @param {ReturnType<typeof tagDeadband>} deadband the tag's deadband, resolved once when the tag list is loaded
+ * @param {any} previousValue last registered value (undefined if none)
+ * @param {any} currentValue value just read or notified
+ * @returns {boolean} true when currentValue has to be registered
+ */
+function hasTagValueChanged(deadband, previousValue, currentValue) {
+	if (previousValue === undefined) {
+		return true;
+	}
+
+	if (typeof previousValue === 'number' && typeof currentValue === 'number') {
+		if (!deadband || isNaN(previousValue) || isNaN(currentValue)) {
+			return !Object.is(previousValue, currentValue);
+		}
+		const delta = Math.abs(currentValue - previousValue);
+		if (delta === 0) {
+			return false;
+		}
+		if (deadband.absolute > 0 && delta <= deadband.absolute) {
+			return false;
+		}
+		if (deadband.percent > 0) {
+			const base = deadband.span !== null ? deadband.span : Math.abs(previousValue);
+			if (delta <= base * deadband.percent / 100) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	if (isStructured(previousValue) || isStructured(currentValue)) {
+		return !deepEqual(previousValue, currentValue, { strict: true });
+	}
+
+	return currentValue !== previousValue;
+}
+
+/** @returns {boolean} objects, arrays, typed arrays, dates, buffers */
+function isStructured(value) {
+	return value !== null && typeof value === 'object';
+}
+
+module.exports = { tagDeadband, hasTagValueChanged }
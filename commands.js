@@ -0,0 +1,385 @@
+'use strict'
+
+/**
+ * Command channel: writes requested by the supervisory system to PLC tags.
+ *
+ * Disabled unless config.json "commands.enabled" is true (listener.js).
+ * Commands `{ id, tagCode, value }` come from the API (polled, GET command/pending) or are
+ * pushed to the local endpoint (POST /commands, config.commands.listen). Each one is
+ * validated against tags-to-listen.json, written, read back and compared, reported to the
+ * API (PUT command/:id/result) and recorded in the WRITE_AUDIT table of the queue database.
+ *
+ * Only tags with "readWrite": "write" or "readWrite" are writable. Optional tag fields:
+ *   "writeType": "number" | "boolean" | "string"
+ *   "min", "max"            numeric limits
+ *   "allowedValues": [...]  explicit list of accepted values
+ *
+ * Result status: 'written' (read back equal), 'unverified' (read back differs),
+ * 'rejected' (validation), 'failed' (write or read-back error).
+ */
+
+const deepEqual = require('deep-equal');
+const crypto = require('crypto');
+const http = require('http');
+const { SupervisoryAPI } = require('./SupervisoryAPI');
+const { serializeWrite } = require('./queue');
+
+const STATUS_WRITTEN = 'written';
+const STATUS_UNVERIFIED = 'unverified';
+const STATUS_REJECTED = 'rejected';
+const STATUS_FAILED = 'failed';
+
+/** @param {object} tag tags-to-listen.json entry; readWrite is matched exactly, as tag-list.js validates it */
+function isWritableTag(tag) {
+	return tag.readWrite === 'write' || tag.readWrite === 'readWrite';
+}
+
+/**
+ * @param {object} command `{ id, tagCode, value }`
+ * @param {object|undefined} tag tags-to-listen.json entry of command.tagCode
+ * @returns {string|null} why the command is rejected
+ */
+function validateCommand(command, tag) {
+	if (!command || command.id == null || !command.tagCode) {
+		return 'Command needs an id and a tagCode';
+	}
+	if (!tag) {
+		return `Unknown tag ${command.tagCode}`;
+	}
+	if (!isWritableTag(tag)) {
+		return `Tag ${command.tagCode} is not writable (readWrite: ${tag.readWrite})`;
+	}
+	if (command.value === undefined || command.value === null) {
+		return 'Command has no value';
+	}
+
+	const value = command.value;
+	if (tag.writeType && typeof value !== tag.writeType) {
+		return `Tag ${command.tagCode} expects a ${tag.writeType}, got ${typeof value}`;
+	}
+	if (typeof value === 'number') {
+		if (!isFinite(value)) {
+			return `Invalid number ${value}`;
+		}
+		if (tag.min != null && value < tag.min) {
+			return `Value ${value} is below the minimum ${tag.min} of ${command.tagCode}`;
+		}
+		if (tag.max != null && value > tag.max) {
+			return `Value ${value} is above the maximum ${tag.max} of ${command.tagCode}`;
+		}
+	}
+	if (Array.isArray(tag.allowedValues) && !tag.allowedValues.some(allowed => deepEqual(allowed, value, { strict: true }))) {
+		return `Value ${JSON.stringify(value)} is not allowed for ${command.tagCode}`;
+	}
+	return null;
+}
+
+/** Read-back comparison; floats written to 32-bit PLC variables come back rounded. */
+function sameValue(written, readBack) {
+	if (typeof written === 'number' && typeof readBack === 'number') {
+		return written === readBack || Math.fround(written) === Math.fround(readBack);
+	}
+	if (typeof written === 'boolean' && typeof readBack === 'number') {
+		return (written ? 1 : 0) === readBack;
+	}
+	// OPC UA Int64 / UInt64 are read as [high, low]
+	if (isInt64Pair(readBack) && /^-?\d+$/.test(String(written))) {
+		const bits = (BigInt(readBack[0]) << 32n) | BigInt(readBack[1]);
+		return bits === BigInt.asUintN(64, BigInt(written));
+	}
+	return deepEqual(written, readBack, { strict: true });
+}
+
+function isInt64Pair(value) {
+	return Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+}
+
+/**
+ * Start polling the API (and the push endpoint if configured) for write commands.
+ * @param {object} context
+ * @param {object[]} context.tags tags-to-listen.json entries
+ * @param {function(object): object|undefined} context.plcForTag PLC context of a tag
+ * @param {function(object, object): Promise<{ tagName: string, fieldPath: string|null }>} context.resolveTarget
+ *   driver tag name / NodeId to write, and the struct member (OPC UA)
+ * @param {sqlite3.Database} context.db queue database (WRITE_AUDIT table)
+ * @param {object} [options] config.commands: `{ pollInterval, listen }` (see startPushEndpoint)
+ * @returns {{ execute: function(object, string): Promise<object>, setTags: function(object[]), stop: function() }}
+ */
+function startCommandChannel(context, options = {}) {
+	let tagsByCode = new Map(context.tags.map(tag => [tag.tagCode, tag]));
+	let chain = Promise.resolve();
+	let pollIntervalId = null;
+	let polling = false;
+
+	// One write at a time, in arrival order
+	function execute(command, source) {
+		const run = chain.then(() => executeCommand(command, source));
+		chain = run.catch(() => {});
+		return run;
+	}
+
+	async function executeCommand(command, source) {
+		const requestedAt = new Date().toISOString();
+
+		// The API keeps listing a command until its result is reported: never write it twice
+		const previous = command && command.id != null ? await findAuditEntry(context.db, command.id) : null;
+		if (previous) {
+			const result = { ...auditToResult(previous), commandId: command.id };
+			await reportResult(result, source);
+			return result;
+		}
+
+		const tag = command ? tagsByCode.get(command.tagCode) : undefined;
+		const result = {
+			commandId: command ? command.id : null,
+			tagCode: command ? command.tagCode : null,
+			machineCode: tag ? tag.machineCode : null,
+			value: command ? command.value : undefined,
+			status: null,
+			readBack: null,
+			error: validateCommand(command, tag),
+			completedAt: null
+		};
+		const plc = tag ? context.plcForTag(tag) : undefined;
+		if (!result.error && !plc) {
+			result.error = `No PLC configured for tag ${command.tagCode}`;
+		}
+		if (!result.error && !plc.driver.isConnected()) {
+			result.error = `PLC ${plc.name} is not connected`;
+			result.status = STATUS_FAILED;
+		}
+
+		if (result.error) {
+			result.status = result.status || STATUS_REJECTED;
+		} else {
+			try {
+				const target = await context.resolveTarget(tag, plc);
+				console.log(` -- [${plc.name}] Writing ${command.tagCode} = ${JSON.stringify(command.value)} (command ${command.id}) -- `);
+				if (target.fieldPath) {
+					await plc.driver.writeTag(target.tagName, command.value, { fieldPath: target.fieldPath });
+					result.readBack = await plc.driver.readTagField(target.tagName, target.fieldPath);
+				} else {
+					await plc.driver.writeTag(target.tagName, command.value);
+					result.readBack = await plc.driver.readTag(target.tagName);
+				}
+				if (sameValue(command.value, result.readBack)) {
+					result.status = STATUS_WRITTEN;
+				} else {
+					result.status = STATUS_UNVERIFIED;
+					result.error = `Read back ${JSON.stringify(result.readBack)} after writing ${JSON.stringify(command.value)}`;
+				}
+			} catch (error) {
+				// Values the tag's DataType cannot hold are rejected like failed validation
+				result.status = error.name === 'ValueCoercionError' ? STATUS_REJECTED : STATUS_FAILED;
+				result.error = error.message;
+			}
+		}
+		result.completedAt = new Date().toISOString();
+
+		console.log(` -- Command ${result.commandId} on ${result.tagCode}: ${result.status}${result.error ? ` (${result.error})` : ''} -- `);
+		await recordAuditEntry(context.db, result, plc ? plc.name : null, source, requestedAt).catch(error => {
+			console.log(` -- Error writing audit log for command ${result.commandId}: ${error.message} -- `);
+		});
+		await reportResult(result, source);
+		return result;
+	}
+
+	// Pushed commands get their result in the response
+	async function reportResult(result, source) {
+		if (result.commandId == null || source === 'push') {
+			return;
+		}
+		try {
+			await SupervisoryAPI.reportCommandResult(result);
+		} catch (error) {
+			// Reported again when the command shows up in the next poll
+			console.log(` -- Error reporting result of command ${result.commandId}: ${error.message} -- `);
+		}
+	}
+
+	async function pollCommands() {
+		if (polling) {
+			return;
+		}
+		polling = true;
+		try {
+			const response = await SupervisoryAPI.listPendingCommands();
+			const commands = Array.isArray(response.data) ? response.data : [];
+			for (const command of commands) {
+				await execute(command, 'poll');
+			}
+		} catch (error) {
+			console.log(` -- Error polling commands: ${error.message} -- `);
+		} finally {
+			polling = false;
+		}
+	}
+
+	if (options.pollInterval !== 0) {
+		const pollInterval = options.pollInterval || 5000;
+		pollIntervalId = setInterval(pollCommands, pollInterval);
+		console.log(` -- Polling write commands every ${pollInterval}ms -- `);
+	}
+	const server = options.listen ? startPushEndpoint(options.listen, execute) : null;
+
+	return {
+		execute: execute,
+		// Writable tags after tags-to-listen.json was reloaded
+		setTags: function (tags) {
+			tagsByCode = new Map(tags.map(tag => [tag.tagCode, tag]));
+		},
+		stop: function () {
+			clearInterval(pollIntervalId);
+			if (server) {
+				server.close();
+			}
+		}
+	};
+}
+
+/**
+ * POST /commands with one command or an array; answers with the results.
+ * @param {object} options config.commands.listen:
+ *   `{ port, host: '127.0.0.1', token | tokenEnv, maxBodyBytes: 1048576, timeout: 30000 }`;
+ *   requests need "Authorization: Bearer <token>", the endpoint is not started without a token.
+ *   timeout = ms to receive a request.
+ * @returns {http.Server|null}
+ */
+function startPushEndpoint(options, execute) {
+	const host = options.host || '127.0.0.1';
+	const token = options.tokenEnv ? process.env[options.tokenEnv] : options.token;
+	if (!token) {
+		console.log(` -- Command endpoint not started: commands.listen needs a token${options.tokenEnv ? ` (${options.tokenEnv} is not set)` : ''} -- `);
+		return null;
+	}
+	const maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+
+	// Slow or stalled clients get a 408 instead of holding the connection
+	const serverOptions = { requestTimeout: options.timeout || 30000, connectionsCheckingInterval: 1000 };
+	const server = http.createServer(serverOptions, (req, res) => {
+		const reply = (status, body) => {
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(body));
+		};
+		req.on('error', error => {
+			console.log(` -- Command endpoint request error: ${error.message} -- `);
+		});
+		if (req.method !== 'POST' || req.url.split('?')[0] !== '/commands') {
+			res.writeHead(404);
+			return res.end();
+		}
+		if (!isAuthorized(req.headers.authorization, token)) {
+			res.setHeader('WWW-Authenticate', 'Bearer');
+			return reply(401, { error: 'Missing or invalid bearer token' });
+		}
+		if (Number(req.headers['content-length']) > maxBodyBytes) {
+			res.setHeader('Connection', 'close');
+			return reply(413, { error: `Body over ${maxBodyBytes} bytes` });
+		}
+
+		const chunks = [];
+		let size = 0;
+		let tooLarge = false;
+		req.on('data', chunk => {
+			if (tooLarge) {
+				return;
+			}
+			size += chunk.length;
+			if (size > maxBodyBytes) {
+				tooLarge = true;
+				res.setHeader('Connection', 'close');
+				res.on('finish', () => req.destroy());
+				return reply(413, { error: `Body over ${maxBodyBytes} bytes` });
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', async () => {
+			if (tooLarge) {
+				return;
+			}
+			let commands;
+			let batch;
+			try {
+				const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+				batch = Array.isArray(parsed);
+				commands = batch ? parsed : [parsed];
+			} catch (error) {
+				return reply(400, { error: `Invalid JSON: ${error.message}` });
+			}
+			try {
+				const results = [];
+				for (const command of commands) {
+					results.push(await execute(command, 'push'));
+				}
+				reply(200, batch ? results : results[0]);
+			} catch (error) {
+				console.log(` -- Error executing pushed commands: ${error.message} -- `);
+				reply(500, { error: error.message });
+			}
+		});
+	});
+	server.on('error', error => {
+		console.log(` -- Command endpoint error: ${error.message} -- `);
+	});
+	server.listen(options.port, host, () => {
+		console.log(` -- Accepting write commands on http://${host}:${options.port}/commands -- `);
+	});
+	server.unref();
+	return server;
+}
+
+/** Constant-time comparison of the bearer token */
+function isAuthorized(header, token) {
+	const match = /^Bearer\s+(.+)$/i.exec(header || '');
+	if (!match) {
+		return false;
+	}
+	const expected = crypto.createHash('sha256').update(token).digest();
+	const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+	return crypto.timingSafeEqual(expected, actual);
+}
+
+/** Runs in the connection's write order (queue.serializeWrite): the listener shares it with its tag value transactions */
+function recordAuditEntry(db, result, plcName, source, requestedAt) {
+	return serializeWrite(db, () => new Promise((resolve, reject) => {
+		const sql = `INSERT INTO WRITE_AUDIT (commandId, tagCode, machineCode, plc, value, status, readBack, error,
+			source, requestedAt, completedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+		db.run(sql, [
+			result.commandId == null ? null : String(result.commandId),
+			result.tagCode,
+			result.machineCode || null,
+			plcName,
+			JSON.stringify(result.value),
+			result.status,
+			result.readBack === null ? null : JSON.stringify(result.readBack),
+			result.error,
+			source,
+			requestedAt,
+			result.completedAt
+		], err => (err ? reject(err) : resolve()));
+	}));
+}
+
+/** Last audited attempt of a command that reached the PLC or was rejected for good */
+function findAuditEntry(db, commandId) {
+	return new Promise((resolve, reject) => {
+		const sql = `SELECT * FROM WRITE_AUDIT WHERE commandId=? AND status IN (?, ?, ?) ORDER BY id DESC LIMIT 1`;
+		db.get(sql, [String(commandId), STATUS_WRITTEN, STATUS_UNVERIFIED, STATUS_REJECTED],
+			(err, row) => (err ? reject(err) : resolve(row || null)));
+	});
+}
+
+function auditToResult(row) {
+	return {
+		commandId: row.commandId,
+		tagCode: row.tagCode,
+		machineCode: row.machineCode,
+		value: JSON.parse(row.value),
+		status: row.status,
+		readBack: row.readBack === null ? null : JSON.parse(row.readBack),
+		error: row.error,
+		completedAt: row.completedAt
+	};
+}
+
+module.exports = { isWritableTag, validateCommand, startCommandChannel }
@@ -0,0 +1,103 @@
+'use strict'
+
+/**
+ * Piece counters (tags with "function": "counter").
+ *
+ * Besides the raw value, every registered counter value carries the pieces produced since the
+ * previous one (`delta`) and how it was computed (`counterEvent`):
+ *   initial    first value ever seen for the tag (delta 0)
+ *   increment  the counter went up
+ *   rollover   the counter wrapped past its maximum (e.g. INT 32767 -> -32768, or 9999 -> 0)
+ *   reset      the counter went down otherwise (reset on the PLC, PLC download): delta counts from resetValue
+ * The last counted value is kept in the queue database (COUNTER_STATE), so pieces produced while the
+ * listener was stopped are counted with the first value read after a restart.
+ *
+ * Optional settings per tag in tags-to-listen.json:
+ *   "counter": { "min": 0, "max": 9999, "resetValue": 0, "rolloverWindow": 1000 }
+ *   min, max        counter range; defaults to the range of the PLC data type (Int16 / INT, UInt16 / UINT,
+ *                   Int32 / DINT, ...). Without a known range a decrease is always a reset.
+ *   resetValue      value the counter restarts from after a reset (default 0)
+ *   rolloverWindow  largest wrapped delta still taken as a rollover (default a tenth of the range);
+ *                   bigger ones are resets
+ */
+
+/** Ranges of the integer data types, OPC UA and CIP names */
+const DATA_TYPE_RANGES = {
+	SByte: [-128, 127],
+	SINT: [-128, 127],
+	Byte: [0, 255],
+	USINT: [0, 255],
+	Int16: [-32768, 32767],
+	INT: [-32768, 32767],
+	UInt16: [0, 65535],
+	UINT: [0, 65535],
+	Int32: [-2147483648, 2147483647],
+	DINT: [-2147483648, 2147483647],
+	UInt32: [0, 4294967295],
+	UDINT: [0, 4294967295]
+};
+
+const EVENT_INITIAL = 'initial';
+const EVENT_INCREMENT = 'increment';
+const EVENT_ROLLOVER = 'rollover';
+const EVENT_RESET = 'reset';
+
+/** @param {object} tag tags-to-listen.json entry */
+function isCounterTag(tag) {
+	return tag.function === 'counter';
+}
+
+/**
+ * @param {object} tag tags-to-listen.json entry
+ * @param {string|null} dataType data type of the sample (driver name, e.g. 'Int16' or 'INT')
+ * @returns {{ min: number|null, max: number|null, resetValue: number, rolloverWindow: number }}
+ * @throws {Error} invalid "counter" settings
+ */
+function counterSettings(tag, dataType) {
+	const settings = tag.counter || {};
+	if (typeof settings !== 'object') {
+		throw new Error(`Invalid counter settings for tag ${tag.tagCode}: expected { min, max, resetValue, rolloverWindow }`);
+	}
+
+	const range = DATA_TYPE_RANGES[dataType] || [null, null];
+	const min = settings.min ?? range[0];
+	const max = settings.max ?? range[1];
+	if (min !== null && max !== null && !(max > min)) {
+		throw new Error(`Invalid counter range for tag ${tag.tagCode}: max ${max} must be above min ${min}`);
+	}
+	const rolloverWindow = settings.rolloverWindow ?? (max !== null && min !== null ? Math.ceil((max - min + 1) / 10) : 0);
+	return { min: min, max: max, resetValue: settings.resetValue ?? 0, rolloverWindow: rolloverWindow };
+}
+
+/**
+ * Pieces produced between two counter values.
+ * @param {number|undefined} previous last counted value (undefined = none)
+ * @param {number} current
+ * @param {ReturnType<typeof counterSettings>} settings
+ * @returns {{ delta: number, event: string }}
+ */
+function counterDelta(previous, current, settings) {
+	if (previous === undefined || previous === null) {
+		return { delta: 0, event: EVENT_INITIAL };
+	}
+	if (current >= previous) {
+		return { delta: current - previous, event: EVENT_INCREMENT };
+	}
+	if (settings.min !== null && settings.max !== null) {
+		const wrapped = (settings.max - previous) + (current - settings.min) + 1;
+		if (wrapped > 0 && wrapped <= settings.rolloverWindow) {
+			return { delta: wrapped, event: EVENT_ROLLOVER };
+		}
+	}
+	return { delta: Math.max(current - settings.resetValue, 0), event: EVENT_RESET };
+}
+
+module.exports = {
+	EVENT_INITIAL,
+	EVENT_INCREMENT,
+	EVENT_ROLLOVER,
+	EVENT_RESET,
+	isCounterTag,
+	counterSettings,
+	counterDelta
+}
@@ -0,0 +1,81 @@
+'use strict'
+
+/**
+ * Inspect and replay jobs that register.js gave up on (QUEUE rows with status 'dead').
+ *
+ *   node dead-letter.js list [limit]
+ *   node dead-letter.js replay <id|all>   put the job(s) back on the queue (attempts start over)
+ *   node dead-letter.js delete <id|all>
+ */
+
+const queue = require('./queue');
+
+// Load configuration
+const config = require('./config.json');
+const dbPath = config.database.connectionString;
+
+const command = process.argv[2] || 'list';
+const argument = process.argv[3];
+
+let db = null;
+
+main();
+
+async function main() {
+	try {
+		db = await queue.openQueueDatabase(dbPath);
+
+		if (command === 'list') {
+			await listDeadLetters(parseInt(argument || '100'));
+		} else if (command === 'replay' || command === 'delete') {
+			if (!argument) {
+				throw new Error(`Usage: node dead-letter.js ${command} <id|all>`);
+			}
+			const id = argument === 'all' ? 'all' : parseInt(argument);
+			if (command === 'replay') {
+				const count = await queue.replayDead(db, id);
+				console.log(` -- Replayed ${count} dead job(s) -- `);
+			} else {
+				const count = await queue.deleteDead(db, id);
+				console.log(` -- Deleted ${count} dead job(s) -- `);
+			}
+		} else {
+			throw new Error(`Unknown command "${command}" (list, replay, delete)`);
+		}
+
+		await closeDatabase();
+	} catch (err) {
+		console.log(` -- Error: ${err.message} -- `);
+		await closeDatabase();
+		process.exit(1);
+	}
+}
+
+async function listDeadLetters(limit) {
+	const count = await queue.countJobs(db, [queue.STATUS_DEAD]);
+	console.log(`\n -- Total dead jobs: ${count} -- \n`);
+
+	const rows = await queue.listJobs(db, [queue.STATUS_DEAD], limit);
+	rows.forEach(row => {
+		console.log(`ID: ${row.id}`);
+		console.log(`    Tag: ${row.tagCode} = ${row.value} (${row.valueType}, ${row.quality})`);
+		console.log(`    Date: ${row.timestamp}`);
+		console.log(`    Attempts: ${row.attempts}`);
+		console.log(`    Last error: ${row.lastError}`);
+		console.log('');
+	});
+	if (count > rows.length) {
+		console.log(`Hidden: ${count - rows.length}`);
+	}
+}
+
+function closeDatabase() {
+	return new Promise((resolve) => {
+		if (db) {
+			db.close(() => resolve());
+			db = null;
+		} else {
+			resolve();
+		}
+	});
+}
@@ -21,14 +21,21 @@
 
 import OPCUADriver from '../lib-opcua-driver/src/opcuaDriver.js';
 import { readFileSync } from 'fs';
+import plcConfig from '../plc-config.js';
 
 let PLC_IP = '10.88.48.51';
 let PLC_PORT = 4840;
+// Security mode/policy, PKI and user identity of the configured PLC
+let DRIVER_OPTIONS = {};
 
 try {
   const config = JSON.parse(readFileSync('./config.json', 'utf8'));
-  PLC_IP = config.plc?.ip || PLC_IP;
-  PLC_PORT = config.plc?.port || PLC_PORT;
+  // PLC_NAME picks one of config.plcs (default: the first one)
+  const plc =
+    config.plcs?.find((p) => p.name === process.env.PLC_NAME) || config.plcs?.[0] || config.plc;
+  PLC_IP = plc?.ip || PLC_IP;
+  PLC_PORT = plc?.port || PLC_PORT;
+  DRIVER_OPTIONS = plc ? plcConfig.opcuaSecurityOptions(plc, config) : {};
 } catch (e) {
   // config.json not found
 }
@@ -77,7 +84,7 @@ async function main() {
   if (TAG_FIELD) console.log(`Struct field path: ${TAG_FIELD}`);
   console.log('');
 
-  const driver = new OPCUADriver(PLC_IP, PLC_PORT);
+  const driver = new OPCUADriver(PLC_IP, PLC_PORT, DRIVER_OPTIONS);
 
   try {
     console.log('Connecting to OPC UA server...');
@@ -0,0 +1,293 @@
+'use strict'
+
+/**
+ * Local historian: every tag value the listener registers is also kept in its own SQLite file, so
+ * past PLC values can be looked up after register.js delivered (and deleted) them. config.json:
+ *   "historian": { "enabled": false, "file": "tag-history.db", "maxAgeDays": 30, "maxRowsPerTag": 0,
+ *                  "pruneInterval": 3600000 }
+ *   maxAgeDays, maxRowsPerTag  samples older / beyond the newest maxRowsPerTag of their tag are deleted
+ *                              every pruneInterval ms (0 = no limit)
+ * A separate file keeps the queue retention limits (retention.js) about the queue only.
+ *
+ * HISTORY columns: tagCode, machineCode, timestamp (read time, ISO), sourceTimestamp, value, valueType
+ * (as in QUEUE, see queue.js), quality, statusCode, details (JSON, e.g. counter delta).
+ *
+ * Queries (also from the command line, see history.js) take a filter
+ *   { tagCode, machineCode, from, to, limit }   from / to: Date or ISO string, `to` excluded
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { encodeValue, decodeValue } = require('./queue');
+
+const SCHEMA_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = ['date', 'tagCode', 'machineCode', 'value', 'quality', 'statusCode', 'sourceTimestamp', 'details'];
+
+/** @param {object} config config.json contents @returns {object} "historian" settings with defaults */
+function historianSettings(config) {
+	const settings = config.historian || {};
+	return {
+		enabled: settings.enabled === true,
+		file: path.resolve(__dirname, settings.file || 'tag-history.db'),
+		maxAgeDays: settings.maxAgeDays || 0,
+		maxRowsPerTag: settings.maxRowsPerTag || 0,
+		pruneInterval: settings.pruneInterval || 3600000
+	};
+}
+
+/**
+ * @param {string} file
+ * @param {object} [options]
+ * @param {boolean} [options.readOnly=false] the file must exist already
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openHistorian(file, options = {}) {
+	return new Promise((resolve, reject) => {
+		const mode = options.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+		const db = new sqlite3.Database(file, mode, async err => {
+			if (err) {
+				return reject(new Error(`Cannot open historian ${file}: ${err.message}`));
+			}
+			// The listener writes while history.js reads
+			db.configure('busyTimeout', 5000);
+			try {
+				if (!options.readOnly) {
+					await createSchema(db);
+				}
+				resolve(db);
+			} catch (error) {
+				db.close();
+				reject(error);
+			}
+		});
+	});
+}
+
+async function createSchema(db) {
+	const { user_version: version } = await get(db, 'PRAGMA user_version');
+	if (version >= SCHEMA_VERSION) {
+		return;
+	}
+	await exec(db, `
+		BEGIN IMMEDIATE;
+		CREATE TABLE IF NOT EXISTS HISTORY (
+			id INTEGER PRIMARY KEY ASC AUTOINCREMENT,
+			tagCode TEXT NOT NULL,
+			machineCode TEXT,
+			timestamp TEXT NOT NULL,
+			sourceTimestamp TEXT,
+			value,
+			valueType TEXT NOT NULL,
+			quality TEXT NOT NULL,
+			statusCode TEXT,
+			details TEXT
+		);
+		CREATE INDEX IF NOT EXISTS HISTORY_TAG_TIME ON HISTORY (tagCode, timestamp);
+		CREATE INDEX IF NOT EXISTS HISTORY_MACHINE_TIME ON HISTORY (machineCode, timestamp);
+		PRAGMA user_version = ${SCHEMA_VERSION};
+		COMMIT;
+	`);
+}
+
+/**
+ * Keep one registered tag value.
+ * @param {object} tagData as queued by the listener `{ tagCode, machineCode, date, value, quality, statusCode,
+ *   sourceTimestamp, details }`
+ */
+function recordSample(db, tagData) {
+	const encoded = encodeValue(tagData.value);
+	return run(db, `INSERT INTO HISTORY (tagCode, machineCode, timestamp, sourceTimestamp, value, valueType, quality, statusCode, details)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+		tagData.tagCode,
+		tagData.machineCode || null,
+		(tagData.date ? new Date(tagData.date) : new Date()).toISOString(),
+		tagData.sourceTimestamp ? new Date(tagData.sourceTimestamp).toISOString() : null,
+		encoded.value,
+		encoded.valueType,
+		tagData.quality || 'good',
+		tagData.statusCode || null,
+		tagData.details ? JSON.stringify(tagData.details) : null
+	]);
+}
+
+/**
+ * Delete the samples beyond the limits.
+ * @param {ReturnType<typeof historianSettings>} settings
+ * @returns {Promise<number>} samples deleted
+ */
+async function pruneHistory(db, settings, now = new Date()) {
+	let deleted = 0;
+	if (settings.maxAgeDays > 0) {
+		const before = new Date(now.getTime() - settings.maxAgeDays * DAY).toISOString();
+		deleted += await runChanges(db, 'DELETE FROM HISTORY WHERE timestamp < ?', [before]);
+	}
+	if (settings.maxRowsPerTag > 0) {
+		const tags = await all(db, 'SELECT tagCode FROM HISTORY GROUP BY tagCode HAVING COUNT(*) > ?', [settings.maxRowsPerTag]);
+		for (const { tagCode } of tags) {
+			deleted += await runChanges(db, `DELETE FROM HISTORY WHERE tagCode = $tagCode AND id NOT IN (
+				SELECT id FROM HISTORY WHERE tagCode = $tagCode ORDER BY timestamp DESC, id DESC LIMIT $keep
+			)`, { $tagCode: tagCode, $keep: settings.maxRowsPerTag });
+		}
+	}
+	return deleted;
+}
+
+function filterSql(filter) {
+	const conditions = [];
+	const params = {};
+	if (filter.tagCode) {
+		conditions.push('tagCode = $tagCode');
+		params.$tagCode = filter.tagCode;
+	}
+	if (filter.machineCode) {
+		conditions.push('machineCode = $machineCode');
+		params.$machineCode = filter.machineCode;
+	}
+	if (filter.from) {
+		conditions.push('timestamp >= $from');
+		params.$from = toIsoDate(filter.from, 'from');
+	}
+	if (filter.to) {
+		conditions.push('timestamp < $to');
+		params.$to = toIsoDate(filter.to, 'to');
+	}
+	return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params: params };
+}
+
+function toIsoDate(value, name) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`Invalid ${name} date "${value}"`);
+	}
+	return date.toISOString();
+}
+
+/** @returns {object} `{ date, tagCode, machineCode, value, quality, statusCode, sourceTimestamp, details }` */
+function toSample(row) {
+	return {
+		date: row.timestamp,
+		tagCode: row.tagCode,
+		machineCode: row.machineCode,
+		value: decodeValue(row.value, row.valueType),
+		quality: row.quality,
+		statusCode: row.statusCode,
+		sourceTimestamp: row.sourceTimestamp,
+		details: row.details ? JSON.parse(row.details) : null
+	};
+}
+
+/**
+ * Samples in a time range, oldest first.
+ * @param {{ tagCode?: string, machineCode?: string, from?: Date|string, to?: Date|string, limit?: number }} filter
+ * @returns {Promise<object[]>} see toSample
+ */
+async function querySamples(db, filter = {}) {
+	const { where, params } = filterSql(filter);
+	const limit = filter.limit > 0 ? ` LIMIT ${Math.floor(filter.limit)}` : '';
+	const rows = await all(db, `SELECT * FROM HISTORY ${where} ORDER BY timestamp ASC, id ASC${limit}`, params);
+	return rows.map(toSample);
+}
+
+/**
+ * Like querySamples, one sample at a time (exports of long ranges).
+ * @param {function(object): void} onSample
+ * @returns {Promise<number>} samples read
+ */
+function eachSample(db, filter, onSample) {
+	const { where, params } = filterSql(filter);
+	return new Promise((resolve, reject) => {
+		let failure = null;
+		db.each(`SELECT * FROM HISTORY ${where} ORDER BY timestamp ASC, id ASC`, params, (err, row) => {
+			if (!err && !failure) {
+				try {
+					onSample(toSample(row));
+				} catch (error) {
+					failure = error;
+				}
+			}
+		}, (err, count) => (err || failure ? reject(err || failure) : resolve(count)));
+	});
+}
+
+/**
+ * Last sample of every tag (of a machine, or one tag) at a given time.
+ * @param {{ tagCode?: string, machineCode?: string, at?: Date|string }} filter at: default now
+ * @returns {Promise<object[]>} see toSample, by tagCode
+ */
+async function lastSamples(db, filter = {}) {
+	const { where, params } = filterSql({ tagCode: filter.tagCode, machineCode: filter.machineCode });
+	params.$at = toIsoDate(filter.at || new Date(), 'at');
+	const rows = await all(db, `SELECT * FROM HISTORY WHERE id IN (
+		SELECT (
+			SELECT id FROM HISTORY last WHERE last.tagCode = tags.tagCode AND last.timestamp <= $at
+			ORDER BY last.timestamp DESC, last.id DESC LIMIT 1
+		) FROM (SELECT DISTINCT tagCode FROM HISTORY ${where}) tags
+	) ORDER BY tagCode ASC`, params);
+	return rows.map(toSample);
+}
+
+/** @returns {string} CSV header line */
+function csvHeader() {
+	return CSV_COLUMNS.join(',');
+}
+
+/** @param {object} sample see toSample @returns {string} one CSV line */
+function toCsvLine(sample) {
+	return CSV_COLUMNS.map(column => {
+		const value = sample[column];
+		if (value === null || value === undefined) {
+			return '';
+		}
+		const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}).join(',');
+}
+
+function run(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, err => (err ? reject(err) : resolve()));
+	});
+}
+
+function runChanges(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, function (err) {
+			if (err) {
+				return reject(err);
+			}
+			resolve(this.changes);
+		});
+	});
+}
+
+function exec(db, sql) {
+	return new Promise((resolve, reject) => {
+		db.exec(sql, err => (err ? reject(err) : resolve()));
+	});
+}
+
+function get(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+	});
+}
+
+function all(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+	});
+}
+
+module.exports = {
+	historianSettings,
+	openHistorian,
+	recordSample,
+	pruneHistory,
+	querySamples,
+	eachSample,
+	lastSamples,
+	csvHeader,
+	toCsvLine
+}
@@ -0,0 +1,148 @@
+'use strict'
+
+/**
+ * Query the local historian (historian.js, config.json "historian").
+ *
+ *   node history.js range [--tag <code>] [--machine <code>] [--from <date>] [--to <date>] [--limit <n>] [--format table|json|csv]
+ *   node history.js last [--tag <code>] [--machine <code>] [--at <date>] [--format table|json|csv]
+ *   node history.js export --machine <code> [--from <date>] [--to <date>] [--format csv|json] [--out <file>]
+ *
+ *   range   samples from `from` (included) to `to` (excluded), oldest first; --limit defaults to 1000 (0 = all)
+ *   last    last sample of each tag at --at (default now): "what did the PLC say at 14:03"
+ *   export  every sample of a machine in the range, to --out or the standard output (default format csv)
+ *   --file  historian database (default: config.json "historian.file")
+ * Dates are anything `new Date()` parses; without a time zone they are local time (2026-03-02T14:03).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const historian = require('./historian');
+
+// Load configuration
+const config = require('./config.json');
+
+const COMMANDS = ['range', 'last', 'export'];
+const USAGE = 'Usage: node history.js range|last|export [--tag <code>] [--machine <code>] [--from <date>] [--to <date>] ' +
+	'[--at <date>] [--limit <n>] [--format table|json|csv] [--out <file>] [--file <history.db>]';
+
+let db = null;
+
+main();
+
+async function main() {
+	try {
+		const options = parseArguments(process.argv.slice(2));
+		const file = options.file ? path.resolve(options.file) : historian.historianSettings(config).file;
+		if (!fs.existsSync(file)) {
+			throw new Error(`No historian at ${file} (config.json "historian.enabled")`);
+		}
+		db = await historian.openHistorian(file, { readOnly: true });
+
+		if (options.command === 'range') {
+			const samples = await historian.querySamples(db, {
+				tagCode: options.tag,
+				machineCode: options.machine,
+				from: options.from,
+				to: options.to,
+				limit: options.limit === null ? 1000 : options.limit
+			});
+			printSamples(samples, options.format);
+		} else if (options.command === 'last') {
+			const samples = await historian.lastSamples(db, { tagCode: options.tag, machineCode: options.machine, at: options.at });
+			printSamples(samples, options.format);
+		} else {
+			await exportSamples(options);
+		}
+
+		await closeDatabase();
+	} catch (err) {
+		console.log(` -- Error: ${err.message} -- `);
+		await closeDatabase();
+		process.exit(1);
+	}
+}
+
+function parseArguments(args) {
+	const options = {
+		command: args[0], tag: null, machine: null, from: null, to: null, at: null, limit: null, format: null, out: null, file: null
+	};
+	if (!COMMANDS.includes(options.command)) {
+		throw new Error(USAGE);
+	}
+	for (let index = 1; index < args.length; index++) {
+		const name = args[index].slice(2);
+		if (!args[index].startsWith('--') || !Object.prototype.hasOwnProperty.call(options, name) || name === 'command') {
+			throw new Error(`Unknown argument "${args[index]}". ${USAGE}`);
+		}
+		if (args[index + 1] === undefined) {
+			throw new Error(`${args[index]} needs a value`);
+		}
+		options[name] = args[++index];
+	}
+
+	if (options.limit !== null) {
+		options.limit = parseInt(options.limit);
+		if (isNaN(options.limit) || options.limit < 0) {
+			throw new Error('--limit must be a positive number');
+		}
+	}
+	const formats = options.command === 'export' ? ['csv', 'json'] : ['table', 'json', 'csv'];
+	options.format = options.format || formats[0];
+	if (!formats.includes(options.format)) {
+		throw new Error(`--format must be one of ${formats.join(', ')} for ${options.command}`);
+	}
+	if (options.command === 'export' && !options.machine) {
+		throw new Error('export needs --machine');
+	}
+	return options;
+}
+
+function printSamples(samples, format) {
+	if (format === 'json') {
+		console.log(JSON.stringify(samples, null, 2));
+	} else if (format === 'csv') {
+		console.log(historian.csvHeader());
+		samples.forEach(sample => console.log(historian.toCsvLine(sample)));
+	} else {
+		samples.forEach(sample => {
+			const value = sample.value !== null && typeof sample.value === 'object' ? JSON.stringify(sample.value) : sample.value;
+			const quality = sample.quality !== 'good' ? ` (${sample.quality}, ${sample.statusCode})` : '';
+			console.log(`${sample.date}  ${sample.tagCode} = ${value}${quality}`);
+		});
+		console.log(`\n -- ${samples.length} sample(s) -- `);
+	}
+}
+
+/** Stream the samples of a machine as CSV lines or a JSON array. */
+async function exportSamples(options) {
+	const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+	// Piped into head & co.: stop quietly once the reader is gone
+	process.stdout.on('error', error => process.exit(error.code === 'EPIPE' ? 0 : 1));
+	let first = true;
+	output.write(options.format === 'csv' ? `${historian.csvHeader()}\n` : '[');
+	const count = await historian.eachSample(db, { machineCode: options.machine, from: options.from, to: options.to }, sample => {
+		if (options.format === 'csv') {
+			output.write(`${historian.toCsvLine(sample)}\n`);
+		} else {
+			output.write(`${first ? '' : ','}\n${JSON.stringify(sample)}`);
+		}
+		first = false;
+	});
+	output.write(options.format === 'csv' ? '' : '\n]\n');
+
+	if (options.out) {
+		await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+		console.log(` -- Exported ${count} sample(s) of machine ${options.machine} to ${options.out} -- `);
+	}
+}
+
+function closeDatabase() {
+	return new Promise((resolve) => {
+		if (db) {
+			db.close(() => resolve());
+			db = null;
+		} else {
+			resolve();
+		}
+	});
+}
@@ -0,0 +1,6 @@
+/**
+ * EtherNet/IP (CIP) Driver for Node.js
+ * Main entry point
+ */
+
+export { EthernetIpDriver, default } from './src/ethernetIpDriver.js';
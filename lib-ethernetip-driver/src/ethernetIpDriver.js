@@ -0,0 +1,587 @@
+/**
+ * EtherNet/IP (CIP) client driver for Rockwell Logix controllers (ControlLogix, CompactLogix).
+ * Tags are addressed by symbolic name: controller scope ("MyTag"), program scope
+ * ("Program:MainProgram.MyTag"), UDT members ("MyUdt.Member.Sub") and array elements ("MyArr[3]").
+ * Exposes the same read/write/browse interface as OPCUADriver so the listener can pick the protocol per PLC.
+ */
+
+import ethernetip from 'ethernet-ip';
+import { EventEmitter } from 'events';
+import debug from 'debug';
+
+const { Controller, Tag, EthernetIP } = ethernetip;
+const { CIP } = EthernetIP;
+
+const log = debug('ethernetip:cip');
+
+/** CIP Symbol Object class (tag directory) */
+const SYMBOL_CLASS = 0x6b;
+/** CIP service Get_Instance_Attribute_List */
+const GET_INSTANCE_ATTRIBUTE_LIST = 0x55;
+/** General status: partial transfer, more instances follow */
+const STATUS_PARTIAL_TRANSFER = 0x06;
+/** Symbol type bit: structured (UDT) tag */
+const SYMBOL_TYPE_STRUCT = 0x8000;
+/** Symbol type bits: array dimensions */
+const SYMBOL_TYPE_DIMENSIONS = 0x6000;
+/** Symbol type bit: system tag (not user data) */
+const SYMBOL_TYPE_SYSTEM = 0x1000;
+
+/** @param {number} ms */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise} rejects with an Error of code 'ETIMEDOUT' after `ms`
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error(message), { code: 'ETIMEDOUT' })), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/** @param {number} symbolType */
+function symbolTypeName(symbolType) {
+  if (symbolType & SYMBOL_TYPE_STRUCT) {
+    return 'STRUCT';
+  }
+  const code = symbolType & 0x00ff;
+  return CIP.DataTypes.getTypeCodeString(code) || `0x${code.toString(16)}`;
+}
+
+export class EthernetIpDriver extends EventEmitter {
+  /**
+   * @param {string} host - Controller (or EtherNet/IP module) address
+   * @param {number} [slot=0] - Backplane slot of the controller (0 for CompactLogix)
+   * @param {object} [options]
+   * @param {number} [options.timeout=10000] - ms per request
+   * @param {boolean} [options.autoReconnect=true] - Reconnect when the TCP session drops
+   * @param {number} [options.maxTimeouts=3] - Requests timing out in a row before the session is treated as
+   *   lost (a half-open link never closes the socket); 0 = never
+   * @param {object} [options.reconnect] - Backoff: { initialDelay: 1000, maxDelay: 30000, multiplier: 2, maxRetry: -1 } (-1 = forever)
+   * @param {function(): object} [options.createController] - Controller factory (e.g. a CIP stand-in in tests)
+   */
+  constructor(host, slot = 0, options = {}) {
+    super();
+    this.host = host;
+    this.slot = slot;
+    this.options = {
+      timeout: 10000,
+      autoReconnect: true,
+      maxTimeouts: 3,
+      createController: () => new Controller(),
+      ...options,
+      reconnect: {
+        initialDelay: 1000,
+        maxDelay: 30000,
+        multiplier: 2,
+        maxRetry: -1,
+        ...options.reconnect
+      }
+    };
+    this.controller = null;
+    this.connected = false;
+    this.reconnecting = false;
+    this.closing = false;
+    this.reconnectPromise = null;
+    /** Requests of the current session that timed out in a row */
+    this.timeouts = 0;
+    /** @type {Map<string, Tag>} Tag objects by name; keeps the CIP data type learned on first read */
+    this.tags = new Map();
+  }
+
+  /**
+   * Connect to the controller (register session and route to `slot`)
+   */
+  async connect() {
+    if (this.connected) {
+      return;
+    }
+
+    this.closing = false;
+    log(`Connecting to EtherNet/IP controller at ${this.host} (slot ${this.slot})`);
+
+    try {
+      await this.openSession();
+    } catch (error) {
+      log('Connection error:', error);
+      await this.closeSession();
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async openSession() {
+    const controller = this.options.createController();
+    this.controller = controller;
+    this.timeouts = 0;
+
+    controller.on('error', (error) => {
+      log('Socket error:', error.message);
+    });
+    controller.on('close', () => {
+      if (this.controller === controller) {
+        this.handleConnectionLost('socket closed');
+      }
+    });
+
+    await withTimeout(
+      controller.connect(this.host, this.slot),
+      this.options.timeout,
+      `Timeout connecting to ${this.host}`
+    );
+    log(`Connected to ${controller.properties && controller.properties.name}`);
+
+    this.connected = true;
+    this.emit('connected');
+  }
+
+  /**
+   * Drop the socket without emitting events.
+   * @private
+   */
+  async closeSession() {
+    const controller = this.controller;
+    this.controller = null;
+    this.connected = false;
+    this.tags.clear();
+
+    if (controller) {
+      try {
+        controller.destroy();
+      } catch (error) {
+        log('Error closing socket:', error.message);
+      }
+    }
+  }
+
+  /**
+   * @param {string} reason
+   * @private
+   */
+  handleConnectionLost(reason) {
+    if (!this.connected || this.closing || this.reconnecting) {
+      return;
+    }
+    log(`Connection lost: ${reason}`);
+    this.connected = false;
+    this.emit('connectionLost', { reason });
+
+    if (this.options.autoReconnect) {
+      this.reconnect().catch((error) => log('Reconnect aborted:', error.message));
+    }
+  }
+
+  /**
+   * A controller request with the request timeout. Any answer, even a CIP error, shows the link is up;
+   * `maxTimeouts` timeouts in a row drop the session (and reconnect, see handleConnectionLost).
+   * @param {Promise} promise
+   * @param {string} message - Timeout error message
+   * @private
+   */
+  async request(promise, message) {
+    try {
+      const result = await withTimeout(promise, this.options.timeout, message);
+      this.timeouts = 0;
+      return result;
+    } catch (error) {
+      if (error.code !== 'ETIMEDOUT') {
+        this.timeouts = 0;
+        throw error;
+      }
+      this.timeouts++;
+      const { maxTimeouts } = this.options;
+      if (maxTimeouts > 0 && this.timeouts >= maxTimeouts) {
+        this.handleConnectionLost(`${this.timeouts} requests timed out`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-open the session with exponential backoff (same events as OPCUADriver.reconnect).
+   * @returns {Promise<void>}
+   */
+  reconnect() {
+    if (this.reconnectPromise) {
+      return this.reconnectPromise;
+    }
+
+    const { initialDelay, maxDelay, multiplier, maxRetry } = this.options.reconnect;
+    this.reconnecting = true;
+    this.closing = false;
+
+    this.reconnectPromise = (async () => {
+      await this.closeSession();
+
+      let wait = initialDelay;
+      for (let attempt = 1; ; attempt++) {
+        this.emit('reconnecting', { attempt, delay: wait });
+        await delay(wait);
+        if (this.closing) {
+          throw new Error('Reconnect cancelled by disconnect');
+        }
+
+        try {
+          await this.openSession();
+          log(`Reconnected after ${attempt} attempt(s)`);
+          this.emit('reconnected', { attempts: attempt });
+          return;
+        } catch (error) {
+          log(`Reconnect attempt ${attempt} failed: ${error.message}`);
+          await this.closeSession();
+          if (this.closing) {
+            throw error;
+          }
+          if (maxRetry >= 0 && attempt >= maxRetry) {
+            throw new Error(`Reconnect failed after ${attempt} attempt(s): ${error.message}`);
+          }
+          wait = Math.min(wait * multiplier, maxDelay);
+        }
+      }
+    })().finally(() => {
+      this.reconnecting = false;
+      this.reconnectPromise = null;
+    });
+
+    return this.reconnectPromise;
+  }
+
+  /**
+   * Disconnect from the controller (also cancels a pending reconnect)
+   */
+  async disconnect() {
+    if (!this.connected && !this.reconnecting) {
+      return;
+    }
+
+    this.closing = true;
+    await this.closeSession();
+    this.emit('disconnected');
+    log('Disconnected from EtherNet/IP controller');
+  }
+
+  /**
+   * @param {string} tagName
+   * @private
+   */
+  getTag(tagName) {
+    let tag = this.tags.get(tagName);
+    if (!tag) {
+      tag = new Tag(tagName);
+      this.tags.set(tagName, tag);
+    }
+    return tag;
+  }
+
+  /**
+   * Read tag value
+   * @param {string} tagName - Symbolic name, e.g. "Line1_Run", "Program:MainProgram.Pieces", "Motor.Speed"
+   * @param {object} [options]
+   * @param {boolean} [options.sample=false] - Return a sample shaped like OPCUADriver.readTag's; CIP reads
+   *   carry no timestamps, so both are null and every successful read is 'good'
+   * @returns {Promise<any>} Tag value (or sample)
+   */
+  async readTag(tagName, options = {}) {
+    if (!this.connected || !this.controller) {
+      throw new Error('Not connected to EtherNet/IP controller');
+    }
+
+    log(`Reading tag: ${tagName}`);
+
+    const tag = this.getTag(tagName);
+    try {
+      await this.request(this.controller.readTag(tag), `Timeout reading tag "${tagName}"`);
+    } catch (error) {
+      this.tags.delete(tagName);
+      throw new Error(`Tag "${tagName}" could not be read: ${describeCipError(error)}`);
+    }
+
+    log(`Tag ${tagName} = ${tag.value} (Type: ${tag.type})`);
+    if (options.sample) {
+      return {
+        value: tag.value,
+        dataType: tag.type || null,
+        statusCode: 'Good',
+        quality: 'good',
+        sourceTimestamp: null,
+        serverTimestamp: null
+      };
+    }
+    return tag.value;
+  }
+
+  /**
+   * Read a UDT member. CIP addresses members symbolically, so this reads "tagName.fieldPath" directly.
+   * @param {string} tagName
+   * @param {string} fieldPath - Dot path, e.g. "MOTOR.SPEED"
+   * @returns {Promise<any>}
+   */
+  async readTagField(tagName, fieldPath) {
+    if (!fieldPath || !String(fieldPath).trim()) {
+      return this.readTag(tagName);
+    }
+    return this.readTag(`${tagName}.${String(fieldPath).trim()}`);
+  }
+
+  /**
+   * Read many tags; same result shape as OPCUADriver.readTags. Tags are read one request each:
+   * a CIP multi-service packet fails as a whole when one symbol is missing.
+   * @param {Array<string|{tagName: string, fieldPath?: string}>} tags
+   * @returns {Promise<Array<{tagName: string, fieldPath: string|null, nodeId: string|null, value: any, statusCode: string|null, error: string|null}>>}
+   */
+  async readTags(tags) {
+    if (!this.connected || !this.controller) {
+      throw new Error('Not connected to EtherNet/IP controller');
+    }
+
+    const results = [];
+    for (const t of tags) {
+      const request = typeof t === 'string' ? { tagName: t } : t;
+      const fieldPath = request.fieldPath || null;
+      const symbol = fieldPath ? `${request.tagName}.${fieldPath}` : request.tagName;
+      const result = {
+        tagName: request.tagName,
+        fieldPath,
+        nodeId: null,
+        value: undefined,
+        statusCode: null,
+        error: null
+      };
+      try {
+        Object.assign(result, await this.readTag(symbol, { sample: true }));
+        result.nodeId = symbol;
+      } catch (error) {
+        result.statusCode = 'Bad';
+        result.error = error.message;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Same as readTag: symbolic names are the browse names on Logix controllers.
+   * @param {string} browseName
+   */
+  async readTagByBrowseName(browseName) {
+    return this.readTag(browseName);
+  }
+
+  /**
+   * Same as readTagField (see readTagByBrowseName).
+   * @param {string} browseName
+   * @param {string} fieldPath
+   */
+  async readTagFieldByBrowseName(browseName, fieldPath) {
+    return this.readTagField(browseName, fieldPath);
+  }
+
+  /**
+   * Write tag value. The tag is read first if its CIP data type is not known yet.
+   * @param {string} tagName - Symbolic name
+   * @param {any} value - Value to write
+   * @returns {Promise<void>}
+   */
+  async writeTag(tagName, value) {
+    if (!this.connected || !this.controller) {
+      throw new Error('Not connected to EtherNet/IP controller');
+    }
+
+    log(`Writing tag: ${tagName} = ${value}`);
+
+    const tag = this.getTag(tagName);
+    if (tag.type === null || tag.type === undefined) {
+      await this.readTag(tagName);
+    }
+
+    try {
+      await this.request(this.controller.writeTag(tag, value), `Timeout writing tag "${tagName}"`);
+    } catch (error) {
+      throw new Error(`Tag "${tagName}" cannot be written: ${describeCipError(error)}`);
+    }
+    log(`Tag ${tagName} written successfully`);
+  }
+
+  /**
+   * List the controller (or program) tag directory from the CIP Symbol Object.
+   * @param {string} [program] - Program name for program-scoped tags (default: controller scope)
+   * @returns {Promise<Array>} [{ name, nodeId, nodeClass, instanceId, dataType, dimensions, struct }]
+   */
+  async browseTags(program = null) {
+    if (!this.connected || !this.controller) {
+      throw new Error('Not connected to EtherNet/IP controller');
+    }
+
+    log(`Browsing tags${program ? ` of program ${program}` : ''}`);
+
+    const symbols = [];
+    let instance = 0;
+    for (;;) {
+      const { status, data } = await this.requestSymbolInstances(instance, program);
+      let offset = 0;
+      while (offset < data.length) {
+        const instanceId = data.readUInt32LE(offset);
+        const nameLength = data.readUInt16LE(offset + 4);
+        const name = data.toString('ascii', offset + 6, offset + 6 + nameLength);
+        const symbolType = data.readUInt16LE(offset + 6 + nameLength);
+        offset += 8 + nameLength;
+        instance = instanceId + 1;
+
+        if (symbolType & SYMBOL_TYPE_SYSTEM || name.startsWith('__')) {
+          continue;
+        }
+        const fullName = program && !name.startsWith('Program:') ? `Program:${program}.${name}` : name;
+        symbols.push({
+          name: fullName,
+          nodeId: fullName,
+          // Same numbering as OPC UA NodeClass: 1 = Object (program), 2 = Variable (tag)
+          nodeClass: name.startsWith('Program:') ? 1 : 2,
+          instanceId,
+          dataType: symbolTypeName(symbolType),
+          dimensions: (symbolType & SYMBOL_TYPE_DIMENSIONS) >> 13,
+          struct: Boolean(symbolType & SYMBOL_TYPE_STRUCT)
+        });
+      }
+      if (status !== STATUS_PARTIAL_TRANSFER || data.length === 0) {
+        break;
+      }
+    }
+    return symbols;
+  }
+
+  /**
+   * List every controller- and program-scoped tag (UDT tags are listed as a whole; read members by dot path).
+   * Arguments mirror OPCUADriver.listAllTags; only `namespaceFilter` is used, as a tag name prefix.
+   * @param {string} [startingNodeId] - unused
+   * @param {number} [maxDepth] - unused
+   * @param {string} [namespaceFilter] - e.g. "Program:MainProgram"
+   * @returns {Promise<Array>} [{ name, nodeId, path, value, dataType }]
+   */
+  async listAllTags(startingNodeId = null, maxDepth = null, namespaceFilter = null) {
+    const controllerTags = await this.browseTags();
+    const programs = controllerTags.filter((t) => t.nodeClass === 1);
+    let variables = controllerTags.filter((t) => t.nodeClass === 2);
+
+    for (const program of programs) {
+      const programName = program.name.slice('Program:'.length);
+      const programTags = await this.browseTags(programName);
+      variables = variables.concat(programTags.filter((t) => t.nodeClass === 2));
+    }
+
+    if (namespaceFilter) {
+      variables = variables.filter((t) => t.name.startsWith(namespaceFilter));
+    }
+
+    const allTags = [];
+    for (const symbol of variables) {
+      let value = null;
+      if (!symbol.struct && symbol.dimensions === 0) {
+        try {
+          value = await this.readTag(symbol.name);
+        } catch (error) {
+          // Ignore read errors, just continue
+        }
+      }
+      allTags.push({
+        name: symbol.name,
+        nodeId: symbol.name,
+        path: symbol.name,
+        value: value,
+        dataType: symbol.dataType
+      });
+    }
+
+    log(`Found ${allTags.length} tag(s) total`);
+    return allTags;
+  }
+
+  /**
+   * One Get_Instance_Attribute_List request on the Symbol Object (attributes 1 = name, 2 = type).
+   * ethernet-ip does not route this service, so the reply is taken from the raw SendRRData event.
+   * @param {number} instance - First instance to return
+   * @param {string|null} program
+   * @private
+   */
+  async requestSymbolInstances(instance, program) {
+    const { LOGICAL, DATA } = CIP.EPATH.segments;
+    const path = Buffer.concat([
+      ...(program ? [DATA.build(`Program:${program}`)] : []),
+      LOGICAL.build(LOGICAL.types.ClassID, SYMBOL_CLASS),
+      // LOGICAL.build rejects instance 0, which is where the directory walk starts
+      instance === 0
+        ? Buffer.from([0x24, 0x00])
+        : LOGICAL.build(LOGICAL.types.InstanceID, instance)
+    ]);
+    const request = Buffer.alloc(6);
+    request.writeUInt16LE(2, 0); // attribute count
+    request.writeUInt16LE(1, 2); // symbol name
+    request.writeUInt16LE(2, 4); // symbol type
+
+    const controller = this.controller;
+    let onReply;
+    const response = new Promise((resolve, reject) => {
+      onReply = (srrd) => {
+        let reply;
+        try {
+          reply = CIP.MessageRouter.parse(srrd[1].data);
+        } catch (error) {
+          reject(new Error(`Symbol browse reply could not be parsed: ${error.message}`));
+          return;
+        }
+        if (reply.service !== (GET_INSTANCE_ATTRIBUTE_LIST | 0x80)) {
+          return;
+        }
+        const status = reply.generalStatusCode;
+        if (status !== 0 && status !== STATUS_PARTIAL_TRANSFER) {
+          reject(new Error(`Symbol browse failed with CIP status 0x${status.toString(16)}`));
+          return;
+        }
+        resolve({ status, data: reply.data });
+      };
+      controller.on('SendRRData Received', onReply);
+    });
+
+    try {
+      controller.write_cip(CIP.MessageRouter.build(GET_INSTANCE_ATTRIBUTE_LIST, path, request));
+      return await this.request(response, 'Timeout browsing symbol table');
+    } finally {
+      // Also on timeout: a late reply must not settle this request (or pile up listeners)
+      controller.removeListener('SendRRData Received', onReply);
+    }
+  }
+
+  /**
+   * Check if connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+}
+
+/**
+ * ethernet-ip rejects with `{ generalStatusCode, extendedStatus }` objects as well as Errors.
+ * @param {any} error
+ */
+function describeCipError(error) {
+  if (error instanceof Error) {
+    return error.message;
+  }
+  if (error && error.generalStatusCode !== undefined) {
+    return `CIP status 0x${error.generalStatusCode.toString(16)}` +
+      (error.extendedStatus && error.extendedStatus.length ? ` (extended ${error.extendedStatus.join(',')})` : '');
+  }
+  return String(error);
+}
+
+export default EthernetIpDriver;
@@ -0,0 +1,247 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { EthernetIpDriver } from '../index.js';
+import { FakeLogix } from './fakeController.js';
+
+function createPlc() {
+  return new FakeLogix({
+    tags: {
+      Line1_Run: { type: 'BOOL', value: true },
+      Line1_Speed: { type: 'REAL', value: 12.5 },
+      Recipe: { type: 'STRUCT' },
+      Counters: { type: 'DINT', dimensions: 1 },
+      __SystemTag: { type: 'DINT', system: true },
+      'Program:MainProgram.Pieces': { type: 'DINT', value: 1234 },
+      'Program:MainProgram.PartNumber': { type: 'INT', value: 7 }
+    }
+  });
+}
+
+/** Driver on a fake controller; short timeouts and reconnect delays */
+async function connectedDriver(plc, options = {}) {
+  const driver = new EthernetIpDriver('10.0.0.1', 2, {
+    timeout: 200,
+    reconnect: { initialDelay: 10, maxDelay: 20 },
+    createController: () => plc.createController(),
+    ...options
+  });
+  await driver.connect();
+  return driver;
+}
+
+test('connect opens a session on the configured host and slot', async () => {
+  const plc = createPlc();
+  const driver = new EthernetIpDriver('10.0.0.1', 2, { createController: () => plc.createController() });
+  const connected = once(driver, 'connected');
+
+  await driver.connect();
+  await connected;
+
+  assert.equal(driver.isConnected(), true);
+  assert.equal(plc.controller.host, '10.0.0.1');
+  assert.equal(plc.controller.slot, 2);
+
+  await driver.disconnect();
+  assert.equal(driver.isConnected(), false);
+  assert.equal(plc.controller.destroyed, true);
+});
+
+test('connect fails when the controller refuses the session', async () => {
+  const plc = createPlc();
+  plc.offline = true;
+  const driver = new EthernetIpDriver('10.0.0.1', 0, { createController: () => plc.createController() });
+
+  await assert.rejects(driver.connect(), /ECONNREFUSED/);
+  assert.equal(driver.isConnected(), false);
+});
+
+test('readTag returns the value, or a sample without timestamps', async () => {
+  const driver = await connectedDriver(createPlc());
+
+  assert.equal(await driver.readTag('Line1_Run'), true);
+  assert.equal(await driver.readTag('Program:MainProgram.Pieces'), 1234);
+  assert.deepEqual(await driver.readTag('Line1_Speed', { sample: true }), {
+    value: 12.5,
+    dataType: 'REAL',
+    statusCode: 'Good',
+    quality: 'good',
+    sourceTimestamp: null,
+    serverTimestamp: null
+  });
+  await assert.rejects(driver.readTag('Missing'), /Tag "Missing" could not be read: CIP status 0x5/);
+
+  await driver.disconnect();
+  await assert.rejects(driver.readTag('Line1_Run'), /Not connected/);
+});
+
+test('readTags reports a missing symbol without failing the other tags', async () => {
+  const driver = await connectedDriver(createPlc());
+
+  const results = await driver.readTags([
+    'Line1_Run',
+    { tagName: 'Missing' },
+    { tagName: 'Program:MainProgram', fieldPath: 'Pieces' }
+  ]);
+
+  assert.equal(results.length, 3);
+  assert.deepEqual(
+    results.map(({ tagName, fieldPath, nodeId, value, statusCode }) => ({ tagName, fieldPath, nodeId, value, statusCode })),
+    [
+      { tagName: 'Line1_Run', fieldPath: null, nodeId: 'Line1_Run', value: true, statusCode: 'Good' },
+      { tagName: 'Missing', fieldPath: null, nodeId: null, value: undefined, statusCode: 'Bad' },
+      { tagName: 'Program:MainProgram', fieldPath: 'Pieces', nodeId: 'Program:MainProgram.Pieces', value: 1234, statusCode: 'Good' }
+    ]
+  );
+  assert.equal(results[0].error, null);
+  assert.match(results[1].error, /Tag "Missing" could not be read/);
+
+  await driver.disconnect();
+});
+
+test('writeTag learns the data type with a read, then writes', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc);
+
+  await driver.writeTag('Program:MainProgram.PartNumber', 42);
+
+  assert.deepEqual(plc.writes, [{ name: 'Program:MainProgram.PartNumber', value: 42 }]);
+  assert.equal(await driver.readTag('Program:MainProgram.PartNumber'), 42);
+  await assert.rejects(driver.writeTag('Missing', 1), /could not be read/);
+
+  await driver.disconnect();
+});
+
+test('browseTags walks the symbol directory across partial transfers', async () => {
+  const driver = await connectedDriver(createPlc());
+
+  const controllerTags = await driver.browseTags();
+  assert.deepEqual(controllerTags.map(({ name, nodeClass, dataType, dimensions, struct }) => ({ name, nodeClass, dataType, dimensions, struct })), [
+    { name: 'Line1_Run', nodeClass: 2, dataType: 'BOOL', dimensions: 0, struct: false },
+    { name: 'Line1_Speed', nodeClass: 2, dataType: 'REAL', dimensions: 0, struct: false },
+    { name: 'Recipe', nodeClass: 2, dataType: 'STRUCT', dimensions: 0, struct: true },
+    { name: 'Counters', nodeClass: 2, dataType: 'DINT', dimensions: 1, struct: false },
+    { name: 'Program:MainProgram', nodeClass: 1, dataType: '0x68', dimensions: 0, struct: false }
+  ]);
+
+  const programTags = await driver.browseTags('MainProgram');
+  assert.deepEqual(programTags.map(({ name }) => name), ['Program:MainProgram.Pieces', 'Program:MainProgram.PartNumber']);
+
+  await driver.disconnect();
+});
+
+test('listAllTags lists controller and program tags with their values', async () => {
+  const driver = await connectedDriver(createPlc());
+
+  const tags = await driver.listAllTags();
+  assert.deepEqual(tags.map(({ name, value }) => [name, value]), [
+    ['Line1_Run', true],
+    ['Line1_Speed', 12.5],
+    ['Recipe', null],
+    ['Counters', null],
+    ['Program:MainProgram.Pieces', 1234],
+    ['Program:MainProgram.PartNumber', 7]
+  ]);
+
+  const programTags = await driver.listAllTags(null, null, 'Program:MainProgram');
+  assert.deepEqual(programTags.map(({ name }) => name), ['Program:MainProgram.Pieces', 'Program:MainProgram.PartNumber']);
+
+  await driver.disconnect();
+});
+
+test('a browse timeout removes its reply listener', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc, { timeout: 50 });
+  plc.answerBrowse = false;
+
+  await assert.rejects(driver.browseTags(), /Timeout browsing symbol table/);
+  await assert.rejects(driver.browseTags(), /Timeout browsing symbol table/);
+  assert.equal(plc.controller.listenerCount('SendRRData Received'), 0);
+
+  plc.answerBrowse = true;
+  assert.equal((await driver.browseTags()).length, 5);
+  assert.equal(plc.controller.listenerCount('SendRRData Received'), 0);
+
+  await driver.disconnect();
+});
+
+test('a lost session is re-opened with backoff', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc);
+  const events = [];
+  driver.on('connectionLost', ({ reason }) => events.push(`connectionLost: ${reason}`));
+  driver.on('reconnecting', ({ attempt }) => events.push(`reconnecting ${attempt}`));
+  const reconnected = once(driver, 'reconnected');
+
+  // The controller restarts: the first attempt is refused
+  plc.offline = true;
+  plc.controller.drop();
+  await once(driver, 'reconnecting');
+  await once(driver, 'reconnecting');
+  plc.offline = false;
+  const [{ attempts }] = await reconnected;
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(events, ['connectionLost: socket closed', 'reconnecting 1', 'reconnecting 2']);
+  assert.equal(driver.isConnected(), true);
+  assert.equal(plc.controllers.length, 3);
+  assert.equal(await driver.readTag('Program:MainProgram.Pieces'), 1234);
+
+  await driver.disconnect();
+});
+
+test('disconnect cancels a pending reconnect', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc, { reconnect: { initialDelay: 50 } });
+  plc.controller.drop();
+  await once(driver, 'reconnecting');
+
+  await driver.disconnect();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.equal(driver.isConnected(), false);
+  assert.equal(plc.controllers.length, 1);
+});
+
+test('requests timing out in a row re-open a half-open session', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc, { timeout: 20, maxTimeouts: 3 });
+  const lost = once(driver, 'connectionLost');
+  const reconnected = once(driver, 'reconnected');
+
+  plc.controller.hang();
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(driver.readTag('Line1_Run'), /Timeout reading tag "Line1_Run"/);
+  }
+  const [{ reason }] = await lost;
+  await reconnected;
+
+  assert.equal(reason, '3 requests timed out');
+  assert.equal(plc.controllers.length, 2);
+  assert.equal(plc.controllers[0].destroyed, true);
+  assert.equal(await driver.readTag('Line1_Speed'), 12.5);
+
+  await driver.disconnect();
+});
+
+test('an answer, even a CIP error, resets the timeout count', async () => {
+  const plc = createPlc();
+  const driver = await connectedDriver(plc, { timeout: 20, maxTimeouts: 3 });
+  let lost = false;
+  driver.on('connectionLost', () => { lost = true; });
+
+  plc.controller.hang();
+  await assert.rejects(driver.readTag('Line1_Run'), /Timeout/);
+  await assert.rejects(driver.readTag('Line1_Run'), /Timeout/);
+  plc.controller.hung = false;
+  await assert.rejects(driver.readTag('Missing'), /CIP status 0x5/);
+  plc.controller.hang();
+  await assert.rejects(driver.readTag('Line1_Run'), /Timeout/);
+  await assert.rejects(driver.writeTag('Line1_Speed', 1), /Timeout/);
+
+  assert.equal(lost, false);
+  assert.equal(driver.isConnected(), true);
+  assert.equal(plc.controllers.length, 1);
+
+  await driver.disconnect();
+});
@@ -0,0 +1,253 @@
+/**
+ * In-memory stand-in for a Logix controller, for the driver tests.
+ * `FakeLogix` holds the tag table; `createController()` returns an object with the parts of the
+ * ethernet-ip Controller the driver uses (connect, destroy, readTag, writeTag, write_cip and the
+ * 'SendRRData Received' / 'close' events), so it can be passed as the driver's `createController` option.
+ */
+
+import ethernetip from 'ethernet-ip';
+import { EventEmitter } from 'events';
+
+const { CIP } = ethernetip.EthernetIP;
+const { Types } = CIP.DataTypes;
+
+/** General status: path destination unknown (what a Logix answers for a missing symbol) */
+const STATUS_PATH_UNKNOWN = 0x05;
+/** General status: partial transfer, more instances follow */
+const STATUS_PARTIAL_TRANSFER = 0x06;
+const GET_INSTANCE_ATTRIBUTE_LIST = 0x55;
+/** Symbol type of the "Program:<name>" entries of the controller directory */
+const SYMBOL_TYPE_PROGRAM = 0x0068;
+const SYMBOL_TYPE_STRUCT = 0x8000;
+const SYMBOL_TYPE_SYSTEM = 0x1000;
+
+export class FakeLogix {
+  /**
+   * @param {object} [options]
+   * @param {Object<string, {type: string, value?: any, dimensions?: number, system?: boolean}>} [options.tags]
+   *   Tags by full name ("Line1_Run", "Program:MainProgram.Pieces"); type is a CIP type name or 'STRUCT'
+   * @param {number} [options.pageSize=2] - Symbols per browse reply (the rest comes as partial transfers)
+   */
+  constructor(options = {}) {
+    this.tags = new Map(Object.entries(options.tags || {}));
+    this.pageSize = options.pageSize || 2;
+    /** Connections are refused while true */
+    this.offline = false;
+    /** Browse requests are left unanswered while false */
+    this.answerBrowse = true;
+    /** @type {FakeController[]} every controller created, in order */
+    this.controllers = [];
+    /** @type {Array<{name: string, value: any}>} */
+    this.writes = [];
+  }
+
+  /** @returns {FakeController} */
+  createController() {
+    const controller = new FakeController(this);
+    this.controllers.push(controller);
+    return controller;
+  }
+
+  /** Latest controller, e.g. to drop its connection */
+  get controller() {
+    return this.controllers[this.controllers.length - 1];
+  }
+
+  /**
+   * Directory of a scope, in instance order: controller tags and "Program:<name>" entries, or the tags
+   * of one program (names without the "Program:<name>." prefix).
+   * @param {string|null} program
+   */
+  symbols(program) {
+    const names = new Set();
+    for (const name of this.tags.keys()) {
+      const match = /^Program:([^.]+)\.(.+)$/.exec(name);
+      if (program) {
+        if (match && match[1] === program) {
+          names.add(match[2]);
+        }
+      } else {
+        names.add(match ? `Program:${match[1]}` : name);
+      }
+    }
+    return [...names].map((name, index) => {
+      const tag = program ? this.tags.get(`Program:${program}.${name}`) : this.tags.get(name);
+      return { instanceId: index + 1, name, symbolType: tag ? symbolType(tag) : SYMBOL_TYPE_PROGRAM };
+    });
+  }
+}
+
+class FakeController extends EventEmitter {
+  /** @param {FakeLogix} plc */
+  constructor(plc) {
+    super();
+    this.plc = plc;
+    this.connected = false;
+    this.destroyed = false;
+    this.host = null;
+    this.slot = null;
+    /** Requests are left unanswered while true, the socket stays open */
+    this.hung = false;
+  }
+
+  get properties() {
+    return { name: '1769-L33ER/B LOGIX5333ER (fake)' };
+  }
+
+  async connect(host, slot = 0) {
+    await tick();
+    if (this.plc.offline) {
+      throw new Error(`connect ECONNREFUSED ${host}:44818`);
+    }
+    this.host = host;
+    this.slot = slot;
+    this.connected = true;
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.drop();
+  }
+
+  /** The link goes half-open: requests are never answered and no 'close' comes */
+  hang() {
+    this.hung = true;
+  }
+
+  /** The TCP session ends (cable pulled, controller restarted) */
+  drop() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    setImmediate(() => this.emit('close'));
+  }
+
+  async readTag(tag) {
+    await this.answer();
+    const entry = this.lookup(tag.name);
+    if (entry.type === 'STRUCT' || entry.dimensions) {
+      throw { generalStatusCode: 0x08, extendedStatus: [] };
+    }
+    tag.parseReadMessageResponse(encodeValue(entry));
+  }
+
+  async writeTag(tag, value = null) {
+    await this.answer();
+    const entry = this.lookup(tag.name);
+    if (value !== null) {
+      tag.value = value;
+    }
+    entry.value = tag.value;
+    this.plc.writes.push({ name: tag.name, value: tag.value });
+    tag.unstageWriteRequest();
+  }
+
+  /** Only the Symbol Object browse (Get_Instance_Attribute_List) goes through here */
+  write_cip(data) {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+    const { service, program, instance } = parseRequest(data);
+    if (service !== GET_INSTANCE_ATTRIBUTE_LIST || !this.plc.answerBrowse || this.hung) {
+      return;
+    }
+    const pending = this.plc.symbols(program).filter((symbol) => symbol.instanceId >= instance);
+    const page = pending.slice(0, this.plc.pageSize);
+    const status = pending.length > page.length ? STATUS_PARTIAL_TRANSFER : 0;
+    const reply = Buffer.concat([Buffer.from([service | 0x80, 0, status, 0]), ...page.map(encodeSymbol)]);
+    setImmediate(() => this.emit('SendRRData Received', [{ TypeID: 0, data: Buffer.alloc(0) }, { TypeID: 0xb2, data: reply }]));
+  }
+
+  /** @private Never settles while hung */
+  answer() {
+    return this.hung ? new Promise(() => {}) : Promise.resolve();
+  }
+
+  /** @private */
+  lookup(name) {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+    const entry = this.plc.tags.get(name);
+    if (!entry) {
+      throw { generalStatusCode: STATUS_PATH_UNKNOWN, extendedStatus: [0] };
+    }
+    return entry;
+  }
+}
+
+function tick() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function symbolType(tag) {
+  let type = tag.type === 'STRUCT' ? SYMBOL_TYPE_STRUCT : Types[tag.type];
+  type |= (tag.dimensions || 0) << 13;
+  return tag.system ? type | SYMBOL_TYPE_SYSTEM : type;
+}
+
+/** Read Tag reply data: UINT type code, then the value */
+function encodeValue(entry) {
+  const buffer = Buffer.alloc(6);
+  buffer.writeUInt16LE(Types[entry.type], 0);
+  const value = entry.value ?? 0;
+  switch (entry.type) {
+    case 'BOOL':
+      buffer.writeUInt8(value ? 1 : 0, 2);
+      return buffer.subarray(0, 3);
+    case 'SINT':
+      buffer.writeInt8(value, 2);
+      return buffer.subarray(0, 3);
+    case 'INT':
+      buffer.writeInt16LE(value, 2);
+      return buffer.subarray(0, 4);
+    case 'DINT':
+      buffer.writeInt32LE(value, 2);
+      return buffer;
+    case 'REAL':
+      buffer.writeFloatLE(value, 2);
+      return buffer;
+    default:
+      throw new Error(`FakeLogix cannot encode ${entry.type}`);
+  }
+}
+
+/** Get_Instance_Attribute_List reply item: UDINT instance, UINT name length, name, UINT symbol type */
+function encodeSymbol(symbol) {
+  const name = Buffer.from(symbol.name, 'ascii');
+  const buffer = Buffer.alloc(8 + name.length);
+  buffer.writeUInt32LE(symbol.instanceId, 0);
+  buffer.writeUInt16LE(name.length, 4);
+  name.copy(buffer, 6);
+  buffer.writeUInt16LE(symbol.symbolType, 6 + name.length);
+  return buffer;
+}
+
+/** Message Router request: service, path size (words), EPATH (symbol, class and instance segments) */
+function parseRequest(data) {
+  const service = data.readUInt8(0);
+  const end = 2 + data.readUInt8(1) * 2;
+  let program = null;
+  let instance = 0;
+  for (let offset = 2; offset < end;) {
+    const segment = data.readUInt8(offset);
+    if (segment === 0x91) {
+      const length = data.readUInt8(offset + 1);
+      program = data.toString('ascii', offset + 2, offset + 2 + length).replace(/^Program:/, '');
+      offset += 2 + length + (length % 2);
+    } else if (segment === 0x20 || segment === 0x24) {
+      instance = segment === 0x24 ? data.readUInt8(offset + 1) : instance;
+      offset += 2;
+    } else if (segment === 0x25) {
+      instance = data.readUInt16LE(offset + 2);
+      offset += 4;
+    } else if (segment === 0x26) {
+      instance = data.readUInt32LE(offset + 2);
+      offset += 6;
+    } else {
+      throw new Error(`FakeLogix: unexpected path segment 0x${segment.toString(16)}`);
+    }
+  }
+  return { service, program, instance };
+}
@@ -3,4 +3,13 @@
  * Main entry point
  */
 
-export { OPCUADriver, default } from './src/opcuaDriver.js';
+export { OPCUADriver, OPCUAStatusError, default } from './src/opcuaDriver.js';
+export { NodeIdCache } from './src/nodeIdCache.js';
+export { ValueCoercionError } from './src/valueCoercion.js';
+export {
+  normalizePkiOptions,
+  ensureClientCertificate,
+  listCertificates,
+  trustCertificate,
+  rejectCertificate
+} from './src/security.js';
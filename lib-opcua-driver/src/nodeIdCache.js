@@ -0,0 +1,115 @@
+/**
+ * NodeId resolution cache: remembers which NodeId a short CODESYS name or a browse name
+ * resolved to, so the driver only walks candidate paths / browses the address space once.
+ * Entries are keyed by server endpoint + tag definition; with a file they survive restarts.
+ * One instance can be shared by several drivers (one per PLC) writing the same file.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import debug from 'debug';
+
+const log = debug('ethernetip:opcua:cache');
+
+export class NodeIdCache {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.file] - JSON file to load from and save to (memory only if omitted)
+   * @param {number} [options.saveDelay=1000] - ms to batch writes before saving the file
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.saveDelay = options.saveDelay ?? 1000;
+    this.saveTimer = null;
+    /** @type {Map<string, { nodeId: string, resolvedAt: string }>} */
+    this.entries = new Map();
+
+    if (this.file && existsSync(this.file)) {
+      try {
+        const data = JSON.parse(readFileSync(this.file, 'utf8'));
+        for (const [key, entry] of Object.entries(data)) {
+          this.entries.set(key, entry);
+        }
+        log(`Loaded ${this.entries.size} NodeId(s) from ${this.file}`);
+      } catch (error) {
+        log(`Ignoring unreadable cache file ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} endpoint - e.g. opc.tcp://10.37.156.6:4840
+   * @param {string} definition - e.g. "short:INT1_RUN" or "browse:CHF|ns=0;i=85|25|ns=4"
+   */
+  static key(endpoint, definition) {
+    return `${endpoint}|${definition}`;
+  }
+
+  /** @returns {string|null} cached NodeId */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.nodeId : null;
+  }
+
+  set(key, nodeId) {
+    const entry = this.entries.get(key);
+    if (entry && entry.nodeId === nodeId) {
+      return;
+    }
+    this.entries.set(key, { nodeId, resolvedAt: new Date().toISOString() });
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * @param {string} [endpoint] - only entries of this server
+   * @returns {Array<{ key: string, nodeId: string, resolvedAt: string }>}
+   */
+  list(endpoint = null) {
+    const out = [];
+    for (const [key, entry] of this.entries) {
+      if (!endpoint || key.startsWith(`${endpoint}|`)) {
+        out.push({ key, ...entry });
+      }
+    }
+    return out;
+  }
+
+  /** @private */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the cache file now (atomically, through a temporary file).
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      const tmp = `${this.file}.tmp`;
+      writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.entries), null, 2), 'utf8');
+      renameSync(tmp, this.file);
+    } catch (error) {
+      log(`Error saving cache file ${this.file}: ${error.message}`);
+    }
+  }
+}
+
+export default NodeIdCache;
@@ -3,9 +3,38 @@
  * Pass a full NodeId string (e.g. Siemens: ns=3;s=DBName.Path.To.Tag) to read/write directly.
  */
 
-import { OPCUAClient, MessageSecurityMode, SecurityPolicy, AttributeIds } from "node-opcua";
+import {
+  OPCUAClient,
+  MessageSecurityMode,
+  UserTokenType,
+  AttributeIds,
+  DataType,
+  TimestampsToReturn,
+  DataChangeFilter,
+  DataChangeTrigger,
+  DeadbandType,
+  VariableIds,
+  Variant,
+  VariantArrayType,
+  coerceNodeId
+} from "node-opcua";
 import { EventEmitter } from 'events';
 import debug from 'debug';
+import { NodeIdCache } from './nodeIdCache.js';
+import {
+  ValueCoercionError,
+  coerceScalar,
+  coerceArray,
+  locateStructField,
+  coerceStructField,
+  unknownMembers
+} from './valueCoercion.js';
+import {
+  resolveSecuritySettings,
+  normalizePkiOptions,
+  createCertificateManager,
+  loadUserIdentity
+} from './security.js';
 
 const log = debug('ethernetip:opcua');
 
@@ -16,6 +45,60 @@ const NC_VARIABLE = 2;
 /** OPC UA NodeClass: View */
 const NC_VIEW = 128;
 
+/** Read status meaning a (cached) NodeId does not exist on the server any more */
+function isUnknownNode(statusCode) {
+  return statusCode.name === 'BadNodeIdUnknown' || statusCode.name === 'BadNodeIdInvalid';
+}
+
+/**
+ * @param {import('node-opcua').StatusCode} statusCode
+ * @returns {'good'|'uncertain'|'bad'}
+ */
+function qualityOf(statusCode) {
+  if (statusCode.isGood()) {
+    return 'good';
+  }
+  return statusCode.isBad() ? 'bad' : 'uncertain';
+}
+
+/** A read or write answered with a Bad StatusCode; `statusCode` is its name, e.g. "BadTypeMismatch" */
+export class OPCUAStatusError extends Error {
+  /**
+   * @param {string} message
+   * @param {import('node-opcua').StatusCode} statusCode
+   * @param {string} nodeId
+   */
+  constructor(message, statusCode, nodeId) {
+    super(`${message}: ${statusCode.name}${statusCode.description ? ` (${statusCode.description})` : ''}`);
+    this.name = 'OPCUAStatusError';
+    this.statusCode = statusCode.name;
+    this.nodeId = nodeId;
+  }
+}
+
+/** Int64 / UInt64 scalar given as node-opcua's `[high, low]` pair */
+function isInt64Pair(dataType, value) {
+  return (dataType === DataType.Int64 || dataType === DataType.UInt64) &&
+    value.length === 2 && value.every(Number.isInteger);
+}
+
+/**
+ * Full sample of a read or notification.
+ * @param {import('node-opcua').DataValue} dataValue
+ * @param {any} value - The value (or struct member) taken from dataValue
+ * @returns {{ value: any, dataType: string|null, statusCode: string, quality: string, sourceTimestamp: Date|null, serverTimestamp: Date|null }}
+ */
+function toSample(dataValue, value) {
+  return {
+    value,
+    dataType: dataValue.value ? DataType[dataValue.value.dataType] || null : null,
+    statusCode: dataValue.statusCode.name,
+    quality: qualityOf(dataValue.statusCode),
+    sourceTimestamp: dataValue.sourceTimestamp || null,
+    serverTimestamp: dataValue.serverTimestamp || null
+  };
+}
+
 /** @param {string} s */
 function looksLikeOpcUaNodeId(s) {
   return (
@@ -46,19 +129,123 @@ function defaultCodesysTagPaths(tagName) {
   ];
 }
 
+/**
+ * Walk a dot path inside a decoded structured value (UDT / ExtensionObject).
+ * @param {any} root
+ * @param {string} fieldPath - e.g. "MOTORES_WATERJETS.TENSAO_L1_L2"
+ * @param {string} tagName - only used in error messages
+ */
+function resolveFieldPath(root, fieldPath, tagName) {
+  if (!fieldPath || !String(fieldPath).trim()) {
+    return root;
+  }
+  const parts = String(fieldPath).split('.').filter(Boolean);
+  let cur = root;
+  for (const p of parts) {
+    if (cur == null || typeof cur !== 'object') {
+      throw new Error(
+        `readTagField: cannot resolve "${fieldPath}" — not an object at segment "${p}" (from "${tagName}")`
+      );
+    }
+    if (!(p in cur)) {
+      const keys =
+        cur && typeof cur === 'object' ? Object.keys(cur).slice(0, 15).join(', ') : '';
+      throw new Error(
+        `readTagField: no property "${p}" in path "${fieldPath}" (from "${tagName}")` +
+          (keys ? `. Sibling keys (sample): ${keys}` : '')
+      );
+    }
+    cur = cur[p];
+  }
+  return cur;
+}
+
+/**
+ * Build a DataChangeFilter from plain options.
+ * @param {object} [filter]
+ * @param {string} [filter.trigger='StatusValue'] - Status | StatusValue | StatusValueTimestamp
+ * @param {string} [filter.deadbandType='None'] - None | Absolute | Percent
+ * @param {number} [filter.deadbandValue=0]
+ * @returns {DataChangeFilter|null}
+ */
+function buildDataChangeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+  const trigger = DataChangeTrigger[filter.trigger || 'StatusValue'];
+  const deadbandType = DeadbandType[filter.deadbandType || 'None'];
+  if (trigger === undefined) {
+    throw new Error(`Unknown data change trigger "${filter.trigger}"`);
+  }
+  if (deadbandType === undefined) {
+    throw new Error(`Unknown deadband type "${filter.deadbandType}"`);
+  }
+  return new DataChangeFilter({
+    trigger,
+    deadbandType,
+    deadbandValue: filter.deadbandValue || 0
+  });
+}
+
 export class OPCUADriver extends EventEmitter {
+  /**
+   * @param {string} host
+   * @param {number} [port=4840]
+   * @param {object} [options]
+   * @param {boolean} [options.autoReconnect=true] - Reconnect on channel/session loss
+   * @param {object} [options.reconnect] - Backoff: { initialDelay: 1000, maxDelay: 30000, multiplier: 2, maxRetry: -1 } (-1 = forever)
+   * @param {number} [options.maxNodesPerRead=1000] - Upper bound for readTags chunks (the server limit wins if lower)
+   * @param {NodeIdCache} [options.nodeIdCache] - Resolution cache to use (share one between drivers writing the same file)
+   * @param {string} [options.nodeIdCacheFile] - File for a cache of this driver's own (ignored with options.nodeIdCache)
+   * @param {number} [options.unresolvedRetryDelay=60000] - ms before a browse name that was not found (or ambiguous) is browsed again
+   * @param {string} [options.securityMode='None'] - "None" | "Sign" | "SignAndEncrypt"
+   * @param {string} [options.securityPolicy='None'] - e.g. "Basic256Sha256", "Aes128_Sha256_RsaOaep", "Aes256_Sha256_RsaPss"
+   * @param {object} [options.pki] - Client certificate and trust list, see normalizePkiOptions (default folder "pki" when secured)
+   * @param {object} [options.userIdentity] - `{ type: 'username', userName, password }` or
+   *   `{ type: 'certificate', certificateFile, privateKeyFile }`; anonymous when omitted
+   */
   constructor(host, port = 4840, options = {}) {
     super();
     this.host = host;
     this.port = port;
     this.options = {
-      securityMode: options.securityMode || MessageSecurityMode.None,
-      securityPolicy: options.securityPolicy || SecurityPolicy.None,
-      ...options
+      autoReconnect: true,
+      maxNodesPerRead: 1000,
+      unresolvedRetryDelay: 60000,
+      ...options,
+      // Invalid settings fail here instead of on every connection attempt
+      ...resolveSecuritySettings(options.securityMode, options.securityPolicy),
+      reconnect: {
+        initialDelay: 1000,
+        maxDelay: 30000,
+        multiplier: 2,
+        maxRetry: -1,
+        ...options.reconnect
+      }
     };
+    this.endpoint = `opc.tcp://${host}:${port}`;
+    /** Own PKI when secured or configured; otherwise node-opcua's default (which accepts any server certificate) */
+    this.pki = options.pki || this.options.securityMode !== MessageSecurityMode.None
+      ? normalizePkiOptions(options.pki)
+      : null;
+    this.userIdentity = loadUserIdentity(options.userIdentity);
+    /** Short-name / browse-name resolutions, so steady-state reads skip path walking and browsing */
+    this.nodeIdCache = options.nodeIdCache || new NodeIdCache({ file: options.nodeIdCacheFile });
+    /** @type {Map<string, { error: Error, until: number }>} failed browse-name resolutions, not browsed again before `until` */
+    this.unresolved = new Map();
     this.client = null;
     this.session = null;
     this.connected = false;
+    this.reconnecting = false;
+    this.closing = false;
+    this.reconnectPromise = null;
+    /** Read chunk size, read from the server's OperationLimits once per session */
+    this.maxNodesPerRead = null;
+    this.subscription = null;
+    /** Options of the last createSubscription, replayed after a reconnect */
+    this.subscriptionOptions = null;
+    /** @type {Map<string, { item: any, nodeId: string, tagName: string, options: object }>} monitored items by caller key */
+    this.monitoredItems = new Map();
   }
 
   /**
@@ -69,42 +256,204 @@ export class OPCUADriver extends EventEmitter {
       return;
     }
 
+    this.closing = false;
     log(`Connecting to OPC UA server at ${this.host}:${this.port}`);
 
-    this.client = OPCUAClient.create({
+    try {
+      await this.openSession({ initialDelay: 1000, maxRetry: 3 });
+    } catch (error) {
+      log('Connection error:', error);
+      await this.closeSession();
+      throw error;
+    }
+  }
+
+  /**
+   * Create client + session and watch them for loss.
+   * @param {object} connectionStrategy - node-opcua connection strategy for this attempt
+   * @private
+   */
+  async openSession(connectionStrategy) {
+    const client = OPCUAClient.create({
       endpointMustExist: false,
-      connectionStrategy: {
-        initialDelay: 1000,
-        maxRetry: 3
-      },
+      keepSessionAlive: true,
+      connectionStrategy,
       securityMode: this.options.securityMode,
-      securityPolicy: this.options.securityPolicy
+      securityPolicy: this.options.securityPolicy,
+      ...(this.pki && {
+        applicationName: this.pki.applicationName,
+        applicationUri: this.pki.applicationUri,
+        clientCertificateManager: createCertificateManager(this.pki),
+        ...(this.pki.certificateFile && { certificateFile: this.pki.certificateFile }),
+        ...(this.pki.privateKeyFile && { privateKeyFile: this.pki.privateKeyFile })
+      })
     });
+    this.client = client;
 
     try {
-      await this.client.connect(`opc.tcp://${this.host}:${this.port}`);
-      log('Connected to OPC UA server');
-
-      this.session = await this.client.createSession();
-      log('OPC UA session created');
-
-      this.connected = true;
-      this.emit('connected');
+      await client.connect(this.endpoint);
     } catch (error) {
-      log('Connection error:', error);
+      if (this.pki && /certificate verification failed/i.test(error.message)) {
+        throw new Error(
+          `Server certificate of ${this.endpoint} is not trusted (saved in ${this.pki.folder}/rejected): ` +
+            `trust it by moving it to ${this.pki.folder}/trusted/certs. ${error.message}`
+        );
+      }
       throw error;
     }
+    log(`Connected to OPC UA server (${MessageSecurityMode[this.options.securityMode]}, ${this.options.securityPolicy.split('#').pop()})`);
+
+    const session = await client.createSession(this.userIdentity);
+    this.session = session;
+    log(`OPC UA session created (${this.userIdentity ? UserTokenType[this.userIdentity.type] : 'Anonymous'})`);
+
+    const lost = (reason) => {
+      if (this.client === client) {
+        this.handleConnectionLost(reason);
+      }
+    };
+    client.on('connection_lost', () => lost('connection lost'));
+    client.on('close', (err) => err && lost(`channel closed: ${err.message}`));
+    session.on('session_closed', (statusCode) => lost(`session closed (${statusCode})`));
+    session.on('keepalive_failure', () => lost('keepalive failure'));
+
+    this.connected = true;
+    this.emit('connected');
+  }
+
+  /**
+   * Drop client and session without emitting events; errors are ignored (the link may be gone).
+   * @private
+   */
+  async closeSession() {
+    const { client, session } = this;
+    this.client = null;
+    this.session = null;
+    this.subscription = null;
+    this.maxNodesPerRead = null;
+    this.connected = false;
+
+    if (session) {
+      try {
+        await session.close();
+      } catch (error) {
+        log('Error closing session:', error.message);
+      }
+    }
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (error) {
+        log('Error closing client:', error.message);
+      }
+    }
+  }
+
+  /**
+   * @param {string} reason
+   * @private
+   */
+  handleConnectionLost(reason) {
+    if (!this.connected || this.closing || this.reconnecting) {
+      return;
+    }
+    log(`Connection lost: ${reason}`);
+    this.connected = false;
+    this.emit('connectionLost', { reason });
+
+    if (this.options.autoReconnect) {
+      this.reconnect().catch((error) => log('Reconnect aborted:', error.message));
+    }
+  }
+
+  /**
+   * Recreate client, session, subscription and monitored items with exponential backoff.
+   * Emits `reconnecting` { attempt, delay } before each attempt and `reconnected` { attempts } once done.
+   * Concurrent calls share the same attempt loop.
+   * @returns {Promise<void>} Rejects after options.reconnect.maxRetry failed attempts
+   */
+  reconnect() {
+    if (this.reconnectPromise) {
+      return this.reconnectPromise;
+    }
+
+    const { initialDelay, maxDelay, multiplier, maxRetry } = this.options.reconnect;
+    this.reconnecting = true;
+    this.closing = false;
+
+    this.reconnectPromise = (async () => {
+      await this.closeSession();
+
+      let delay = initialDelay;
+      for (let attempt = 1; ; attempt++) {
+        this.emit('reconnecting', { attempt, delay });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (this.closing) {
+          throw new Error('Reconnect cancelled by disconnect');
+        }
+
+        try {
+          await this.openSession({ maxRetry: 0 });
+          if (this.closing) {
+            throw new Error('Reconnect cancelled by disconnect');
+          }
+          await this.restoreSubscription();
+          log(`Reconnected after ${attempt} attempt(s)`);
+          this.emit('reconnected', { attempts: attempt });
+          return;
+        } catch (error) {
+          log(`Reconnect attempt ${attempt} failed: ${error.message}`);
+          await this.closeSession();
+          if (this.closing) {
+            throw error;
+          }
+          if (maxRetry >= 0 && attempt >= maxRetry) {
+            throw new Error(`Reconnect failed after ${attempt} attempt(s): ${error.message}`);
+          }
+          delay = Math.min(delay * multiplier, maxDelay);
+        }
+      }
+    })().finally(() => {
+      this.reconnecting = false;
+      this.reconnectPromise = null;
+    });
+
+    return this.reconnectPromise;
+  }
+
+  /**
+   * Re-create the subscription and re-add every monitored item after a new session.
+   * Items that cannot be monitored any more are dropped (see isMonitored) and reported as `monitoredItemError`.
+   * @private
+   */
+  async restoreSubscription() {
+    if (!this.subscriptionOptions) {
+      return;
+    }
+    const items = [...this.monitoredItems.entries()];
+    this.monitoredItems.clear();
+    await this.createSubscription(this.subscriptionOptions);
+
+    for (const [key, { tagName, options }] of items) {
+      try {
+        await this.addMonitoredItem(key, tagName, options);
+      } catch (error) {
+        this.emit('monitoredItemError', { key, nodeId: tagName, error });
+      }
+    }
   }
 
   /**
-   * Disconnect from OPC UA server
+   * Disconnect from OPC UA server (also cancels a pending reconnect)
    */
   async disconnect() {
-    if (!this.connected) {
+    if (!this.connected && !this.reconnecting) {
       return;
     }
 
+    this.closing = true;
     try {
+      await this.deleteSubscription();
       if (this.session) {
         await this.session.close();
         this.session = null;
@@ -125,36 +474,222 @@ export class OPCUADriver extends EventEmitter {
   /**
    * Read tag value
    * @param {string} tagName - Short CODESYS name or full NodeId (e.g. Siemens: ns=3;s=Monitoramento_....Corrente_L1)
-   * @returns {Promise<any>} Tag value
+   * @param {object} [options]
+   * @param {boolean} [options.sample=false] - Return `{ value, dataType, statusCode, quality, sourceTimestamp, serverTimestamp }`
+   * @returns {Promise<any>} Tag value (or sample)
    */
-  async readTag(tagName) {
+  async readTag(tagName, options = {}) {
     if (!this.connected || !this.session) {
       throw new Error('Not connected to OPC UA server');
     }
 
     log(`Reading tag: ${tagName}`);
 
-    const tagPaths = looksLikeOpcUaNodeId(tagName)
-      ? [tagName]
-      : defaultCodesysTagPaths(tagName);
+    const cacheKey = looksLikeOpcUaNodeId(tagName) ? null : this.shortNameCacheKey(tagName);
+    const dataValue = await this.readResolved(
+      (refresh) => this.resolveNodeId(tagName, { refresh }),
+      cacheKey,
+      tagName
+    );
+    log(`Tag ${tagName} = ${dataValue.value.value} (Status: ${dataValue.statusCode.name})`);
+    return options.sample ? toSample(dataValue, dataValue.value.value) : dataValue.value.value;
+  }
 
-    for (const tagPath of tagPaths) {
-      try {
-        const dataValue = await this.session.read({
-          nodeId: tagPath,
-          attributeId: AttributeIds.Value
-        });
+  /**
+   * Read the Value of a resolved NodeId (Good or Uncertain). When it came from the resolution cache and the
+   * server answers BadNodeIdUnknown (e.g. after a PLC download), the entry is dropped and resolved once more.
+   * @param {function(boolean): Promise<string>} resolve - Called with refresh=true on the retry
+   * @param {string|null} cacheKey - null when the NodeId was given by the caller (nothing to invalidate)
+   * @param {string} label - Tag name for error messages
+   * @returns {Promise<import('node-opcua').DataValue>}
+   * @private
+   */
+  async readResolved(resolve, cacheKey, label) {
+    for (let attempt = 0; ; attempt++) {
+      const nodeId = await resolve(attempt > 0);
+      const dataValue = await this.session.read({
+        nodeId: nodeId,
+        attributeId: AttributeIds.Value
+      });
+      if (!dataValue.statusCode.isBad()) {
+        return dataValue;
+      }
+      if (!cacheKey || attempt > 0 || !isUnknownNode(dataValue.statusCode)) {
+        throw new Error(`Tag "${label}" (${nodeId}) not readable: ${dataValue.statusCode.name}`);
+      }
+      log(`Cached NodeId ${nodeId} of "${label}" is gone, resolving again`);
+      this.nodeIdCache.delete(cacheKey);
+    }
+  }
 
-        if (dataValue.statusCode.isGood()) {
-          log(`Tag ${tagName} = ${dataValue.value.value} (Type: ${dataValue.value.dataType.name})`);
-          return dataValue.value.value;
+  /**
+   * Read many tags with as few Read service calls as possible (chunked to MaxNodesPerRead).
+   * Short names and browse names are resolved through the NodeId cache; unresolved short names
+   * are resolved in the same batch by reading all of their candidate paths.
+   * @param {Array<string|{tagName?: string, browseName?: string, browseOptions?: object, fieldPath?: string}>} tags
+   *   NodeIds / short names, or browse names (see findVariableNodeIdsByBrowseName), optionally with a struct field path
+   * @returns {Promise<Array<{tagName: string, fieldPath: string|null, nodeId: string|null, value: any, statusCode: string|null, error: string|null}>>}
+   *   One result per tag, in order; `error` is set (and `value` undefined) when the tag could not be read.
+   *   Read tags also carry the sample fields `dataType`, `quality` ('good' | 'uncertain'), `sourceTimestamp`, `serverTimestamp`.
+   */
+  async readTags(tags) {
+    if (!this.connected || !this.session) {
+      throw new Error('Not connected to OPC UA server');
+    }
+
+    const requests = tags.map((t) => (typeof t === 'string' ? { tagName: t } : t));
+    const { results, stale } = await this.readTagsOnce(requests);
+
+    // Cached NodeIds that disappeared were dropped from the cache: resolve and read those again
+    if (stale.length > 0) {
+      log(`Resolving ${stale.length} stale NodeId(s) again`);
+      const retried = await this.readTagsOnce(stale.map((index) => requests[index]));
+      stale.forEach((index, i) => {
+        results[index] = retried.results[i];
+      });
+    }
+    return results;
+  }
+
+  /**
+   * One pass of readTags.
+   * @returns {Promise<{results: Array, stale: number[]}>} stale = indexes whose cached NodeId was unknown
+   * @private
+   */
+  async readTagsOnce(requests) {
+    const results = requests.map((request) => ({
+      tagName: request.tagName || request.browseName,
+      fieldPath: request.fieldPath || null,
+      nodeId: null,
+      value: undefined,
+      statusCode: null,
+      error: null
+    }));
+    const stale = [];
+
+    // Every candidate NodeId of every tag, in order of preference
+    const candidates = [];
+    for (const [index, request] of requests.entries()) {
+      const result = results[index];
+      let tagPaths;
+      let cacheKey = null;
+      let cached = false;
+
+      if (request.browseName) {
+        try {
+          tagPaths = [await this.resolveBrowseName(request.browseName, request.browseOptions)];
+          cacheKey = this.browseNameCacheKey(request.browseName, request.browseOptions);
+          cached = true;
+        } catch (error) {
+          result.error = error.message;
+          continue;
         }
+      } else if (looksLikeOpcUaNodeId(request.tagName)) {
+        tagPaths = [request.tagName];
+      } else {
+        cacheKey = this.shortNameCacheKey(request.tagName);
+        const cachedNodeId = this.nodeIdCache.get(cacheKey);
+        cached = Boolean(cachedNodeId);
+        tagPaths = cached ? [cachedNodeId] : defaultCodesysTagPaths(request.tagName);
+      }
+
+      for (const tagPath of tagPaths) {
+        try {
+          candidates.push({ index, tagPath, cacheKey, cached, nodeId: coerceNodeId(tagPath) });
+        } catch (error) {
+          result.error = `Invalid NodeId "${tagPath}": ${error.message}`;
+        }
+      }
+    }
+
+    log(`Reading ${results.length} tag(s) as ${candidates.length} node(s)`);
+    const dataValues = await this.readNodes(candidates.map((c) => c.nodeId));
+
+    candidates.forEach((candidate, i) => {
+      const result = results[candidate.index];
+      const dataValue = dataValues[i];
+      if (result.nodeId) {
+        return; // an earlier path already matched
+      }
+      if (dataValue.statusCode.isBad()) {
+        result.statusCode = result.statusCode || dataValue.statusCode.name;
+        if (candidate.cached && isUnknownNode(dataValue.statusCode)) {
+          this.nodeIdCache.delete(candidate.cacheKey);
+          stale.push(candidate.index);
+        }
+        return;
+      }
+      result.nodeId = candidate.tagPath;
+      result.error = null;
+      if (candidate.cacheKey) {
+        this.nodeIdCache.set(candidate.cacheKey, candidate.tagPath);
+      }
+      try {
+        Object.assign(
+          result,
+          toSample(dataValue, resolveFieldPath(dataValue.value.value, result.fieldPath, candidate.tagPath))
+        );
       } catch (error) {
-        // Continue to next path
+        result.statusCode = dataValue.statusCode.name;
+        result.error = error.message;
+      }
+    });
+
+    for (const result of results) {
+      if (!result.nodeId && !result.error) {
+        result.error = looksLikeOpcUaNodeId(result.tagName) || result.statusCode !== 'BadNodeIdUnknown'
+          ? `Tag "${result.tagName}" not readable (${result.statusCode})`
+          : `Tag "${result.tagName}" not found in any CODESYS path`;
       }
     }
+    return { results, stale };
+  }
 
-    throw new Error(`Tag "${tagName}" not found. Tried paths: ${tagPaths.join(', ')}`);
+  /**
+   * Read the Value attribute of many nodes, one Read request per MaxNodesPerRead chunk.
+   * @param {Array} nodeIds
+   * @returns {Promise<Array>} DataValues in the same order
+   * @private
+   */
+  async readNodes(nodeIds) {
+    const chunkSize = await this.getMaxNodesPerRead();
+    const dataValues = [];
+    for (let i = 0; i < nodeIds.length; i += chunkSize) {
+      const chunk = nodeIds
+        .slice(i, i + chunkSize)
+        .map((nodeId) => ({ nodeId, attributeId: AttributeIds.Value }));
+      dataValues.push(...(await this.session.read(chunk)));
+    }
+    return dataValues;
+  }
+
+  /**
+   * MaxNodesPerRead from the server's OperationLimits (0 / unreadable = no server limit),
+   * capped by options.maxNodesPerRead.
+   * @returns {Promise<number>}
+   */
+  async getMaxNodesPerRead() {
+    if (this.maxNodesPerRead) {
+      return this.maxNodesPerRead;
+    }
+
+    let serverLimit = 0;
+    try {
+      const dataValue = await this.session.read({
+        nodeId: coerceNodeId(VariableIds.Server_ServerCapabilities_OperationLimits_MaxNodesPerRead),
+        attributeId: AttributeIds.Value
+      });
+      if (dataValue.statusCode.isGood()) {
+        serverLimit = dataValue.value.value || 0;
+      }
+    } catch (error) {
+      log('MaxNodesPerRead not readable:', error.message);
+    }
+
+    const configured = this.options.maxNodesPerRead;
+    this.maxNodesPerRead = serverLimit > 0 ? Math.min(serverLimit, configured) : configured;
+    log(`MaxNodesPerRead: ${this.maxNodesPerRead} (server: ${serverLimit || 'no limit'})`);
+    return this.maxNodesPerRead;
   }
 
   /**
@@ -167,28 +702,7 @@ export class OPCUADriver extends EventEmitter {
    */
   async readTagField(tagName, fieldPath) {
     const root = await this.readTag(tagName);
-    if (!fieldPath || !String(fieldPath).trim()) {
-      return root;
-    }
-    const parts = String(fieldPath).split('.').filter(Boolean);
-    let cur = root;
-    for (const p of parts) {
-      if (cur == null || typeof cur !== 'object') {
-        throw new Error(
-          `readTagField: cannot resolve "${fieldPath}" — not an object at segment "${p}" (from "${tagName}")`
-        );
-      }
-      if (!(p in cur)) {
-        const keys =
-          cur && typeof cur === 'object' ? Object.keys(cur).slice(0, 15).join(', ') : '';
-        throw new Error(
-          `readTagField: no property "${p}" in path "${fieldPath}" (from "${tagName}")` +
-            (keys ? `. Sibling keys (sample): ${keys}` : '')
-        );
-      }
-      cur = cur[p];
-    }
-    return cur;
+    return resolveFieldPath(root, fieldPath, tagName);
   }
 
   /**
@@ -253,25 +767,65 @@ export class OPCUADriver extends EventEmitter {
   }
 
   /**
-   * Read a variable by its browse name (see findVariableNodeIdsByBrowseName).
+   * Resolve a browse name to exactly one Variable NodeId (see findVariableNodeIdsByBrowseName).
+   * The result is cached, so the address space is only browsed on the first call. A name that is not found
+   * or ambiguous fails with the same error, without browsing, for options.unresolvedRetryDelay ms.
    * @param {string} browseName
    * @param {object} [options] - passed to findVariableNodeIdsByBrowseName
-   * @returns {Promise<any>}
+   * @param {boolean} [options.refresh=false] - Ignore the cache (and a previous failure) and browse again
+   * @returns {Promise<string>}
    */
-  async readTagByBrowseName(browseName, options = {}) {
+  async resolveBrowseName(browseName, options = {}) {
+    const cacheKey = this.browseNameCacheKey(browseName, options);
+    if (!options.refresh) {
+      const cached = this.nodeIdCache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+      const failure = this.unresolved.get(cacheKey);
+      if (failure && failure.until > Date.now()) {
+        throw failure.error;
+      }
+    }
+
     const ids = await this.findVariableNodeIdsByBrowseName(browseName, options);
+    let error = null;
     if (ids.length === 0) {
-      throw new Error(
+      error = new Error(
         `No Variable with browse name "${browseName}" found (from "${options.startingNodeId ?? 'ns=0;i=85'}", maxDepth ${options.maxDepth ?? 25})`
       );
-    }
-    if (ids.length > 1) {
-      throw new Error(
+    } else if (ids.length > 1) {
+      error = new Error(
         `Ambiguous browse name "${browseName}": ${ids.length} variables — ${ids.join(' | ')}. ` +
           'Pass options.startingNodeId (narrower parent) or options.namespacePrefix (e.g. "ns=4").'
       );
     }
-    return this.readTag(ids[0]);
+    if (error) {
+      this.unresolved.set(cacheKey, { error, until: Date.now() + this.options.unresolvedRetryDelay });
+      throw error;
+    }
+    this.unresolved.delete(cacheKey);
+    this.nodeIdCache.set(cacheKey, ids[0]);
+    return ids[0];
+  }
+
+  /**
+   * Read a variable by its browse name (see resolveBrowseName).
+   * @param {string} browseName
+   * @param {object} [options] - passed to findVariableNodeIdsByBrowseName
+   * @param {boolean} [options.sample=false] - Return the full sample (see readTag)
+   * @returns {Promise<any>}
+   */
+  async readTagByBrowseName(browseName, options = {}) {
+    if (!this.connected || !this.session) {
+      throw new Error('Not connected to OPC UA server');
+    }
+    const dataValue = await this.readResolved(
+      (refresh) => this.resolveBrowseName(browseName, { ...options, refresh }),
+      this.browseNameCacheKey(browseName, options),
+      browseName
+    );
+    return options.sample ? toSample(dataValue, dataValue.value.value) : dataValue.value.value;
   }
 
   /**
@@ -281,57 +835,395 @@ export class OPCUADriver extends EventEmitter {
    * @param {object} [options] - passed to findVariableNodeIdsByBrowseName
    */
   async readTagFieldByBrowseName(browseName, fieldPath, options = {}) {
-    const ids = await this.findVariableNodeIdsByBrowseName(browseName, options);
-    if (ids.length === 0) {
-      throw new Error(
-        `No Variable with browse name "${browseName}" found (from "${options.startingNodeId ?? 'ns=0;i=85'}")`
-      );
-    }
-    if (ids.length > 1) {
-      throw new Error(
-        `Ambiguous browse name "${browseName}": ${ids.length} variables — ${ids.join(' | ')}`
-      );
-    }
-    return this.readTagField(ids[0], fieldPath);
+    const root = await this.readTagByBrowseName(browseName, { ...options, sample: false });
+    return resolveFieldPath(root, fieldPath, browseName);
   }
 
   /**
-   * Write tag value
-   * @param {string} tagName - Tag name
-   * @param {any} value - Value to write
-   * @returns {Promise<void>}
+   * Resolve a short CODESYS name to the first NodeId that reads Good (cached after the first walk).
+   * Full NodeIds are returned unchanged.
+   * @param {string} tagName
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cache and walk the candidate paths again
+   * @returns {Promise<string>}
    */
-  async writeTag(tagName, value) {
+  async resolveNodeId(tagName, options = {}) {
     if (!this.connected || !this.session) {
       throw new Error('Not connected to OPC UA server');
     }
+    if (looksLikeOpcUaNodeId(tagName)) {
+      return tagName;
+    }
 
-    log(`Writing tag: ${tagName} = ${value}`);
-
-    const tagPaths = looksLikeOpcUaNodeId(tagName)
-      ? [tagName]
-      : defaultCodesysTagPaths(tagName);
+    const cacheKey = this.shortNameCacheKey(tagName);
+    if (!options.refresh) {
+      const cached = this.nodeIdCache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
 
+    const tagPaths = defaultCodesysTagPaths(tagName);
     for (const tagPath of tagPaths) {
       try {
-        const statusCode = await this.session.write({
+        const dataValue = await this.session.read({
           nodeId: tagPath,
-          attributeId: AttributeIds.Value,
-          value: {
-            value: value
-          }
+          attributeId: AttributeIds.Value
         });
-
-        if (statusCode.isGood()) {
-          log(`Tag ${tagName} written successfully`);
-          return;
+        if (dataValue.statusCode.isGood()) {
+          this.nodeIdCache.set(cacheKey, tagPath);
+          return tagPath;
         }
       } catch (error) {
         // Continue to next path
       }
     }
 
-    throw new Error(`Tag "${tagName}" not found or cannot be written. Tried paths: ${tagPaths.join(', ')}`);
+    throw new Error(`Tag "${tagName}" not found. Tried paths: ${tagPaths.join(', ')}`);
+  }
+
+  /**
+   * NodeIds resolved for this server (short names and browse names), as kept in the cache.
+   * @returns {Array<{ definition: string, nodeId: string, resolvedAt: string }>}
+   */
+  getResolvedNodeIds() {
+    return this.nodeIdCache.list(this.endpoint).map(({ key, nodeId, resolvedAt }) => ({
+      definition: key.slice(this.endpoint.length + 1),
+      nodeId,
+      resolvedAt
+    }));
+  }
+
+  /** @private */
+  shortNameCacheKey(tagName) {
+    return NodeIdCache.key(this.endpoint, `short:${tagName}`);
+  }
+
+  /** @private */
+  browseNameCacheKey(browseName, options = {}) {
+    const startingNodeId = options.startingNodeId ?? 'ns=0;i=85';
+    const maxDepth = options.maxDepth ?? 25;
+    const namespacePrefix = options.namespacePrefix ?? '';
+    return NodeIdCache.key(
+      this.endpoint,
+      `browse:${String(browseName).trim()}|${startingNodeId}|${maxDepth}|${namespacePrefix}`
+    );
+  }
+
+  /**
+   * Create the subscription that holds this driver's monitored items (one per session).
+   * Calling it again returns the existing subscription.
+   * @param {object} [options]
+   * @param {number} [options.publishingInterval=500] - ms
+   * @param {number} [options.lifetimeCount=100]
+   * @param {number} [options.maxKeepAliveCount=10]
+   * @param {number} [options.maxNotificationsPerPublish=0] - 0 = no limit
+   * @param {number} [options.priority=10]
+   * @returns {Promise<import('node-opcua').ClientSubscription>}
+   */
+  async createSubscription(options = {}) {
+    if (!this.connected || !this.session) {
+      throw new Error('Not connected to OPC UA server');
+    }
+    if (this.subscription) {
+      return this.subscription;
+    }
+    this.subscriptionOptions = options;
+
+    const subscription = await this.session.createSubscription2({
+      requestedPublishingInterval: options.publishingInterval ?? 500,
+      requestedLifetimeCount: options.lifetimeCount ?? 100,
+      requestedMaxKeepAliveCount: options.maxKeepAliveCount ?? 10,
+      maxNotificationsPerPublish: options.maxNotificationsPerPublish ?? 0,
+      publishingEnabled: true,
+      priority: options.priority ?? 10
+    });
+
+    subscription.on('terminated', () => {
+      log('Subscription terminated');
+      if (this.subscription === subscription) {
+        this.subscription = null;
+      }
+    });
+
+    this.subscription = subscription;
+    log(`Subscription ${subscription.subscriptionId} created`);
+    return subscription;
+  }
+
+  /**
+   * Monitor a variable; every Good or Uncertain notification is emitted as `valueChanged`
+   * `{ key, nodeId, value, sample, dataValue }` (sample as returned by readTag with `sample: true`). Creates the subscription with defaults if needed.
+   * @param {string} key - Caller id for this item (e.g. tagCode); re-adding a key replaces it
+   * @param {string} tagName - NodeId or short CODESYS name (resolved with resolveNodeId)
+   * @param {object} [options]
+   * @param {number} [options.samplingInterval=250] - ms; 0 = fastest the server supports
+   * @param {number} [options.queueSize=10] - Server-side queue, keeps short pulses between publishes
+   * @param {boolean} [options.discardOldest=true]
+   * @param {object} [options.filter] - { trigger, deadbandType, deadbandValue } (see DataChangeFilter)
+   * @param {string} [options.fieldPath] - Emit only this member of a structured value
+   * @returns {Promise<string>} Monitored NodeId
+   */
+  async addMonitoredItem(key, tagName, options = {}) {
+    const subscription = await this.createSubscription();
+
+    if (this.monitoredItems.has(key)) {
+      await this.removeMonitoredItem(key);
+    }
+
+    const cacheKey = looksLikeOpcUaNodeId(tagName) ? null : this.shortNameCacheKey(tagName);
+    let nodeId;
+    let item;
+    for (let attempt = 0; ; attempt++) {
+      nodeId = await this.resolveNodeId(tagName, { refresh: attempt > 0 });
+      item = await subscription.monitor(
+        { nodeId, attributeId: AttributeIds.Value },
+        {
+          samplingInterval: options.samplingInterval ?? 250,
+          queueSize: options.queueSize ?? 10,
+          discardOldest: options.discardOldest ?? true,
+          filter: buildDataChangeFilter(options.filter)
+        },
+        TimestampsToReturn.Both
+      );
+      if (item.statusCode && item.statusCode.isGood()) {
+        break;
+      }
+      if (!cacheKey || attempt > 0 || !item.statusCode || !isUnknownNode(item.statusCode)) {
+        throw new Error(
+          `Cannot monitor ${nodeId}: ${item.statusCode ? item.statusCode.toString() : 'no status'}`
+        );
+      }
+      // Stale cached resolution: drop it and walk the candidate paths again
+      await item.terminate().catch(() => {});
+      this.nodeIdCache.delete(cacheKey);
+    }
+
+    item.on('changed', (dataValue) => {
+      if (dataValue.statusCode.isBad()) {
+        this.emit('monitoredItemError', {
+          key,
+          nodeId,
+          error: new Error(`Bad status for ${nodeId}: ${dataValue.statusCode.toString()}`)
+        });
+        return;
+      }
+      let value;
+      try {
+        value = resolveFieldPath(dataValue.value.value, options.fieldPath, nodeId);
+      } catch (error) {
+        this.emit('monitoredItemError', { key, nodeId, error });
+        return;
+      }
+      this.emit('valueChanged', { key, nodeId, value, sample: toSample(dataValue, value), dataValue });
+    });
+
+    this.monitoredItems.set(key, { item, nodeId, tagName, options });
+    log(`Monitoring ${key} (${nodeId})`);
+    return nodeId;
+  }
+
+  /**
+   * Whether an item is monitored; false once a restore after reconnect failed for it.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isMonitored(key) {
+    return this.monitoredItems.has(key);
+  }
+
+  /**
+   * Stop monitoring an item added with addMonitoredItem.
+   * @param {string} key
+   * @returns {Promise<boolean>} false if the key was not monitored
+   */
+  async removeMonitoredItem(key) {
+    const entry = this.monitoredItems.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.monitoredItems.delete(key);
+    try {
+      await entry.item.terminate();
+    } catch (error) {
+      log(`Error removing monitored item ${key}:`, error.message);
+    }
+    return true;
+  }
+
+  /**
+   * Terminate the subscription and all of its monitored items.
+   */
+  async deleteSubscription() {
+    const subscription = this.subscription;
+    this.subscription = null;
+    this.subscriptionOptions = null;
+    this.monitoredItems.clear();
+    if (!subscription) {
+      return;
+    }
+    try {
+      await subscription.terminate();
+    } catch (error) {
+      log('Error terminating subscription:', error.message);
+    }
+  }
+
+  /**
+   * Write a tag value, converted to the variable's DataType first (Int16, Boolean, String, Int64, arrays,
+   * structures). The DataType, ValueRank and ArrayDimensions attributes are read before each write.
+   * - Int64 / UInt64: safe integer, BigInt, decimal string or `[high, low]`
+   * - Arrays: JS array (nested arrays for ValueRank > 1); fixed ArrayDimensions are checked
+   * - Structures (ExtensionObject): plain object with the member names, or the decoded value from readTag
+   * - options.fieldPath: one member of a structure ("MOTOR.SPEED", "MOTORS.2.SPEED"); the structure is read,
+   *   the member replaced and the whole structure written back (members changed by the PLC in between are overwritten)
+   * @param {string} tagName - Short CODESYS name or full NodeId
+   * @param {any} value - Value to write
+   * @param {object} [options]
+   * @param {string} [options.fieldPath] - Dot path of a structure member
+   * @returns {Promise<void>}
+   * @throws {ValueCoercionError} The value does not fit the DataType (nothing was written)
+   * @throws {OPCUAStatusError} The server rejected the write (e.g. BadTypeMismatch, BadNotWritable, BadUserAccessDenied)
+   */
+  async writeTag(tagName, value, options = {}) {
+    if (!this.connected || !this.session) {
+      throw new Error('Not connected to OPC UA server');
+    }
+
+    const label = options.fieldPath ? `${tagName}.${options.fieldPath}` : tagName;
+    log(`Writing tag: ${label} = ${JSON.stringify(value)}`);
+
+    const cacheKey = looksLikeOpcUaNodeId(tagName) ? null : this.shortNameCacheKey(tagName);
+    for (let attempt = 0; ; attempt++) {
+      const nodeId = await this.resolveNodeId(tagName, { refresh: attempt > 0 });
+      const [dataTypeValue, valueRankValue, arrayDimensionsValue] = await this.session.read([
+        { nodeId, attributeId: AttributeIds.DataType },
+        { nodeId, attributeId: AttributeIds.ValueRank },
+        { nodeId, attributeId: AttributeIds.ArrayDimensions }
+      ]);
+      if (dataTypeValue.statusCode.isBad()) {
+        if (cacheKey && attempt === 0 && isUnknownNode(dataTypeValue.statusCode)) {
+          log(`Cached NodeId ${nodeId} of "${tagName}" is gone, resolving again`);
+          this.nodeIdCache.delete(cacheKey);
+          continue;
+        }
+        const problem = isUnknownNode(dataTypeValue.statusCode) ? 'not found' : 'has no readable DataType';
+        throw new OPCUAStatusError(`Tag "${tagName}" (${nodeId}) ${problem}`, dataTypeValue.statusCode, nodeId);
+      }
+
+      const variant = options.fieldPath
+        ? await this.buildFieldWriteVariant(nodeId, options.fieldPath, value, label)
+        : await this.buildWriteVariant(nodeId, {
+          dataTypeNodeId: dataTypeValue.value.value,
+          valueRank: valueRankValue.statusCode.isGood() ? valueRankValue.value.value : -1,
+          arrayDimensions: arrayDimensionsValue.statusCode.isGood() ? arrayDimensionsValue.value.value : null
+        }, value, label);
+
+      const statusCode = await this.session.write({
+        nodeId: nodeId,
+        attributeId: AttributeIds.Value,
+        value: { value: variant }
+      });
+      if (!statusCode.isGood()) {
+        throw new OPCUAStatusError(`Tag "${label}" (${nodeId}) not written`, statusCode, nodeId);
+      }
+      log(`Tag ${label} written successfully (${DataType[variant.dataType]})`);
+      return;
+    }
+  }
+
+  /**
+   * Variant for writing a whole variable.
+   * @param {string} nodeId
+   * @param {{ dataTypeNodeId: import('node-opcua').NodeId, valueRank: number, arrayDimensions: number[]|null }} type
+   * @param {any} value
+   * @param {string} label
+   * @returns {Promise<Variant>}
+   * @private
+   */
+  async buildWriteVariant(nodeId, type, value, label) {
+    // Resolves subtypes (UtcTime, Duration, enumerations, ...) to the built-in type on the wire
+    const dataType = await this.session.getBuiltInDataType(nodeId);
+
+    const toElement = dataType === DataType.ExtensionObject
+      ? (element) => element
+      : (element, elementLabel) => coerceScalar(element, dataType, elementLabel);
+
+    // ValueRank: -1 scalar, >= 1 that many dimensions, 0 one or more, -2 any, -3 scalar or one dimension
+    const isArray = type.valueRank >= 0 ||
+      ((type.valueRank === -2 || type.valueRank === -3) && Array.isArray(value) && !isInt64Pair(dataType, value));
+
+    let arrayType = VariantArrayType.Scalar;
+    let dimensions = null;
+    let converted;
+    if (isArray) {
+      const rank = Math.max(type.valueRank, 1);
+      const array = coerceArray(value, toElement, rank, type.arrayDimensions, label);
+      converted = array.value;
+      if (rank > 1) {
+        arrayType = VariantArrayType.Matrix;
+        dimensions = array.dimensions;
+      } else {
+        arrayType = VariantArrayType.Array;
+      }
+    } else {
+      converted = toElement(value, label);
+    }
+
+    if (dataType === DataType.ExtensionObject) {
+      const toStructure = (element, elementLabel) => this.toExtensionObject(type.dataTypeNodeId, element, elementLabel);
+      converted = isArray
+        ? await Promise.all(converted.map((element, index) => toStructure(element, `${label}[${index}]`)))
+        : await toStructure(converted, label);
+    }
+
+    return new Variant({ dataType, arrayType, dimensions, value: converted });
+  }
+
+  /**
+   * Variant for writing one member of a structured variable (read-modify-write of the whole structure).
+   * @private
+   */
+  async buildFieldWriteVariant(nodeId, fieldPath, value, label) {
+    const dataValue = await this.session.read({ nodeId, attributeId: AttributeIds.Value });
+    if (dataValue.statusCode.isBad()) {
+      throw new OPCUAStatusError(`Tag "${label}" (${nodeId}) not readable`, dataValue.statusCode, nodeId);
+    }
+    const variant = dataValue.value;
+    if (variant.dataType !== DataType.ExtensionObject || variant.arrayType !== VariantArrayType.Scalar) {
+      throw new ValueCoercionError(`${label}: the variable is a ${DataType[variant.dataType]}, not a structure`);
+    }
+    if (!variant.value || !variant.value.schema) {
+      throw new ValueCoercionError(`${label}: the structure could not be decoded (unknown DataType definition)`);
+    }
+
+    const { parent, key, field, current } = locateStructField(variant.value, fieldPath, label);
+    parent[key] = coerceStructField(value, field, current, label);
+    return new Variant({ dataType: DataType.ExtensionObject, value: variant.value });
+  }
+
+  /**
+   * Build the ExtensionObject of a structure DataType from a plain object.
+   * @private
+   */
+  async toExtensionObject(dataTypeNodeId, value, label) {
+    if (value && value.schema) {
+      return value;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValueCoercionError(`${label}: cannot write ${JSON.stringify(value)} as a structure (expected an object)`);
+    }
+    let extensionObject;
+    try {
+      extensionObject = await this.session.constructExtensionObject(dataTypeNodeId, value);
+    } catch (error) {
+      throw new ValueCoercionError(`${label}: cannot build structure ${dataTypeNodeId.toString()}: ${error.message}`);
+    }
+    const unknown = unknownMembers(extensionObject.schema, value);
+    if (unknown.length > 0) {
+      throw new ValueCoercionError(`${label}: structure has no member(s) ${unknown.join(', ')}`);
+    }
+    return extensionObject;
   }
 
   /**
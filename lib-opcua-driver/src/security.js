@@ -0,0 +1,247 @@
+/**
+ * OPC UA security settings: message security mode/policy, the client's application instance
+ * certificate with its PKI folder (trust list for server certificates), and the session's user identity.
+ *
+ * PKI folder layout (node-opcua):
+ *   own/certs/client_certificate.pem, own/private/private_key.pem   client certificate (self-signed when generated)
+ *   trusted/certs/    server certificates accepted for secure channels
+ *   rejected/         server certificates seen but not trusted (move to trusted/certs or use trustCertificate)
+ *   issuers/certs/    CA certificates of CA-signed server certificates
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { X509Certificate } from 'crypto';
+import {
+  MessageSecurityMode,
+  SecurityPolicy,
+  UserTokenType,
+  OPCUACertificateManager,
+  makeApplicationUrn
+} from "node-opcua";
+
+export const DEFAULT_APPLICATION_NAME = 'PLCDriver';
+
+/**
+ * @param {string|number|undefined} mode - "None" | "Sign" | "SignAndEncrypt" (or MessageSecurityMode)
+ * @param {string|undefined} policy - "None" | "Basic256Sha256" | "Aes128_Sha256_RsaOaep" | "Aes256_Sha256_RsaPss" | ... or policy URI
+ * @returns {{ securityMode: number, securityPolicy: string }}
+ * @throws {Error} Unknown names, or a mode that does not fit the policy
+ */
+export function resolveSecuritySettings(mode, policy) {
+  const securityMode = typeof mode === 'number' ? mode : MessageSecurityMode[mode || 'None'];
+  if (typeof securityMode !== 'number' || securityMode === MessageSecurityMode.Invalid) {
+    throw new Error(`Unknown OPC UA security mode "${mode}" (None, Sign, SignAndEncrypt)`);
+  }
+
+  let securityPolicy = policy || SecurityPolicy.None;
+  if (!String(securityPolicy).startsWith('http://')) {
+    securityPolicy = SecurityPolicy[securityPolicy];
+  }
+  if (!securityPolicy || !Object.values(SecurityPolicy).includes(securityPolicy) || securityPolicy === SecurityPolicy.Invalid) {
+    const names = Object.keys(SecurityPolicy).filter((name) => name !== 'Invalid' && !name.startsWith('PubSub'));
+    throw new Error(`Unknown OPC UA security policy "${policy}" (${names.join(', ')})`);
+  }
+
+  if ((securityMode === MessageSecurityMode.None) !== (securityPolicy === SecurityPolicy.None)) {
+    throw new Error(
+      `OPC UA security mode ${MessageSecurityMode[securityMode]} does not fit policy ${policy || 'None'}: ` +
+        'use mode None with policy None, or Sign/SignAndEncrypt with a policy such as Basic256Sha256'
+    );
+  }
+  return { securityMode, securityPolicy };
+}
+
+/**
+ * @param {object} [pki]
+ * @param {string} [pki.folder='pki'] - PKI root folder (created if missing)
+ * @param {string} [pki.applicationName='PLCDriver'] - Client application name (certificate subject)
+ * @param {string} [pki.applicationUri] - Defaults to urn:<hostname>:<applicationName>; must match the certificate
+ * @param {string} [pki.certificateFile] - Own certificate (PEM) instead of own/certs/client_certificate.pem
+ * @param {string} [pki.privateKeyFile] - Its private key (PEM) instead of own/private/private_key.pem
+ * @param {boolean} [pki.automaticallyAcceptUnknownCertificate=false] - Trust every server certificate on first use
+ * @returns {object} Settings with defaults applied and paths made absolute
+ */
+export function normalizePkiOptions(pki = {}) {
+  const applicationName = pki.applicationName || DEFAULT_APPLICATION_NAME;
+  return {
+    folder: path.resolve(pki.folder || 'pki'),
+    applicationName,
+    applicationUri: pki.applicationUri || makeApplicationUrn(os.hostname(), applicationName),
+    certificateFile: pki.certificateFile ? path.resolve(pki.certificateFile) : null,
+    privateKeyFile: pki.privateKeyFile ? path.resolve(pki.privateKeyFile) : null,
+    automaticallyAcceptUnknownCertificate: !!pki.automaticallyAcceptUnknownCertificate
+  };
+}
+
+/**
+ * A certificate manager on the PKI folder. OPCUAClient disposes it on disconnect,
+ * so every client gets its own instance.
+ * @param {object} pki - normalizePkiOptions result
+ * @returns {OPCUACertificateManager}
+ */
+export function createCertificateManager(pki) {
+  return new OPCUACertificateManager({
+    rootFolder: pki.folder,
+    automaticallyAcceptUnknownCertificate: pki.automaticallyAcceptUnknownCertificate
+  });
+}
+
+/**
+ * Create the PKI folders and a self-signed client certificate unless one exists.
+ * @param {object} pki - normalizePkiOptions result
+ * @returns {Promise<{ created: boolean, certificateFile: string, privateKeyFile: string, certificate: object }>}
+ */
+export async function ensureClientCertificate(pki) {
+  const certificateManager = createCertificateManager(pki);
+  try {
+    await certificateManager.initialize();
+    const certificateFile = clientCertificateFile(pki);
+    const privateKeyFile = pki.privateKeyFile || certificateManager.privateKey;
+
+    let created = false;
+    if (!fs.existsSync(certificateFile)) {
+      if (pki.certificateFile) {
+        throw new Error(`Certificate file ${certificateFile} not found`);
+      }
+      await certificateManager.createSelfSignedCertificate({
+        applicationUri: pki.applicationUri,
+        dns: [os.hostname()],
+        outputFile: certificateFile,
+        subject: `/CN=${pki.applicationName}@${os.hostname()}/O=${pki.applicationName}`,
+        startDate: new Date(),
+        validity: 365 * 10
+      });
+      created = true;
+    }
+    return { created, certificateFile, privateKeyFile, certificate: describeCertificate(certificateFile) };
+  } finally {
+    await certificateManager.dispose();
+  }
+}
+
+/** Client certificate file (the one OPCUAClient creates when missing) */
+function clientCertificateFile(pki) {
+  return pki.certificateFile || path.join(pki.folder, 'own/certs/client_certificate.pem');
+}
+
+/**
+ * Client certificate and server certificates of the trust list.
+ * @param {object} pki - normalizePkiOptions result
+ * @returns {{ own: object|null, trusted: object[], rejected: object[] }}
+ *   `{ file, thumbprint, subject, applicationUri, validTo }` each (own is null before the first connection / init)
+ */
+export function listCertificates(pki) {
+  const list = (folder) => certificateFiles(path.join(pki.folder, folder)).map(describeCertificate);
+  const ownFile = clientCertificateFile(pki);
+  return {
+    own: fs.existsSync(ownFile) ? describeCertificate(ownFile) : null,
+    trusted: list('trusted/certs'),
+    rejected: list('rejected')
+  };
+}
+
+/**
+ * Move a server certificate from rejected/ to trusted/certs (or back with rejectCertificate).
+ * @param {object} pki - normalizePkiOptions result
+ * @param {string} thumbprint - SHA-1 thumbprint (hex, the start is enough) or a certificate file
+ * @returns {Promise<object>} The certificate moved
+ */
+export async function trustCertificate(pki, thumbprint) {
+  return moveCertificate(pki, thumbprint, 'rejected', 'trust');
+}
+
+/** @see trustCertificate */
+export async function rejectCertificate(pki, thumbprint) {
+  return moveCertificate(pki, thumbprint, 'trusted/certs', 'reject');
+}
+
+async function moveCertificate(pki, thumbprint, fromFolder, action) {
+  let file = thumbprint;
+  if (!fs.existsSync(file)) {
+    const wanted = String(thumbprint).replace(/:/g, '').toLowerCase();
+    const matches = certificateFiles(path.join(pki.folder, fromFolder))
+      .filter((candidate) => describeCertificate(candidate).thumbprint.startsWith(wanted));
+    if (matches.length !== 1) {
+      throw new Error(`${matches.length === 0 ? 'No' : 'More than one'} certificate in ${fromFolder} matches "${thumbprint}"`);
+    }
+    file = matches[0];
+  }
+
+  const description = describeCertificate(file);
+  const certificate = new X509Certificate(fs.readFileSync(file));
+  const certificateManager = createCertificateManager(pki);
+  try {
+    await certificateManager.initialize();
+    if (action === 'trust') {
+      await certificateManager.trustCertificate(certificate.raw);
+    } else {
+      await certificateManager.rejectCertificate(certificate.raw);
+    }
+  } finally {
+    await certificateManager.dispose();
+  }
+  return description;
+}
+
+function certificateFiles(folder) {
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs.readdirSync(folder)
+    .filter((name) => /\.(pem|der|crt|cer)$/i.test(name))
+    .map((name) => path.join(folder, name));
+}
+
+/**
+ * @param {string} file - PEM or DER certificate
+ * @returns {{ file: string, thumbprint: string, subject: string, applicationUri: string|null, validTo: string }}
+ */
+export function describeCertificate(file) {
+  const certificate = new X509Certificate(fs.readFileSync(file));
+  const uri = /URI:([^,\s]+)/.exec(certificate.subjectAltName || '');
+  return {
+    file,
+    thumbprint: certificate.fingerprint.replace(/:/g, '').toLowerCase(),
+    subject: certificate.subject.replace(/\n/g, ', '),
+    applicationUri: uri ? uri[1] : null,
+    validTo: certificate.validTo
+  };
+}
+
+/**
+ * Session user identity.
+ * @param {object} [identity]
+ * @param {'anonymous'|'username'|'certificate'} [identity.type='anonymous']
+ * @param {string} [identity.userName] - type username
+ * @param {string} [identity.password] - type username
+ * @param {string} [identity.certificateFile] - type certificate: user certificate (PEM or DER)
+ * @param {string} [identity.privateKeyFile] - type certificate: its private key (PEM)
+ * @returns {object|undefined} node-opcua UserIdentityInfo (undefined = anonymous)
+ * @throws {Error} Unknown type, missing fields or unreadable files
+ */
+export function loadUserIdentity(identity) {
+  const type = String((identity && identity.type) || 'anonymous').toLowerCase();
+
+  if (type === 'anonymous') {
+    return undefined;
+  }
+  if (type === 'username') {
+    if (!identity.userName) {
+      throw new Error('OPC UA user identity "username" needs a userName');
+    }
+    return { type: UserTokenType.UserName, userName: identity.userName, password: identity.password || '' };
+  }
+  if (type === 'certificate') {
+    if (!identity.certificateFile || !identity.privateKeyFile) {
+      throw new Error('OPC UA user identity "certificate" needs certificateFile and privateKeyFile');
+    }
+    return {
+      type: UserTokenType.Certificate,
+      certificateData: new X509Certificate(fs.readFileSync(identity.certificateFile)).raw,
+      privateKey: fs.readFileSync(identity.privateKeyFile, 'utf8')
+    };
+  }
+  throw new Error(`Unknown OPC UA user identity type "${identity.type}" (anonymous, username, certificate)`);
+}
@@ -0,0 +1,323 @@
+/**
+ * Conversion of JS values to the built-in type of an OPC UA variable before writing.
+ * The server rejects a Variant whose DataType differs from the variable's (BadTypeMismatch),
+ * so a JS number has to be sent as Int16, Float, ... depending on the node.
+ */
+
+import { DataType } from "node-opcua";
+
+/** Integer ranges of the built-in types that fit in a JS number */
+const INTEGER_RANGES = {
+  [DataType.SByte]: [-128, 127],
+  [DataType.Byte]: [0, 255],
+  [DataType.Int16]: [-32768, 32767],
+  [DataType.UInt16]: [0, 65535],
+  [DataType.Int32]: [-2147483648, 2147483647],
+  [DataType.UInt32]: [0, 4294967295]
+};
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+/** Thrown when a value cannot be represented in the variable's DataType (nothing is sent to the server) */
+export class ValueCoercionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValueCoercionError';
+  }
+}
+
+function fail(label, value, expected) {
+  throw new ValueCoercionError(`${label}: cannot write ${JSON.stringify(value)} as ${expected}`);
+}
+
+/** Numbers and numeric strings ("12", " 3.5 ") */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return NaN;
+}
+
+/**
+ * Int64 / UInt64 as the `[high, low]` 32-bit pair used by node-opcua.
+ * Accepts safe integers, BigInt, decimal strings and `[high, low]` pairs.
+ */
+function toInt64Pair(value, unsigned, label) {
+  const typeName = unsigned ? 'UInt64' : 'Int64';
+  if (Array.isArray(value) && value.length === 2 && value.every(Number.isInteger)) {
+    return value;
+  }
+
+  let big;
+  try {
+    if (typeof value === 'bigint') {
+      big = value;
+    } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+      big = BigInt(value);
+    } else if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+      big = BigInt(value.trim());
+    }
+  } catch (error) {
+    big = undefined;
+  }
+  if (big === undefined) {
+    fail(label, typeof value === 'bigint' ? String(value) : value,
+      `${typeName} (use an integer string or BigInt above 2^53)`);
+  }
+  if (unsigned ? big < 0n || big > UINT64_MAX : big < INT64_MIN || big > INT64_MAX) {
+    fail(label, String(big), `${typeName} (out of range)`);
+  }
+
+  const bits = BigInt.asUintN(64, big);
+  return [Number(bits >> 32n), Number(bits & 0xffffffffn)];
+}
+
+/**
+ * Convert one (non-array) value to a built-in DataType.
+ * @param {any} value
+ * @param {number} dataType - node-opcua DataType enum
+ * @param {string} label - Tag name for error messages
+ * @returns {any} Value ready for a Variant of that DataType
+ * @throws {ValueCoercionError}
+ */
+export function coerceScalar(value, dataType, label) {
+  const typeName = DataType[dataType];
+
+  switch (dataType) {
+    case DataType.Boolean:
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value === 0 || value === 1) {
+        return value === 1;
+      }
+      if (typeof value === 'string' && /^(true|false|0|1)$/i.test(value.trim())) {
+        return /^(true|1)$/i.test(value.trim());
+      }
+      return fail(label, value, typeName);
+
+    case DataType.SByte:
+    case DataType.Byte:
+    case DataType.Int16:
+    case DataType.UInt16:
+    case DataType.Int32:
+    case DataType.UInt32: {
+      const number = toNumber(value);
+      const [min, max] = INTEGER_RANGES[dataType];
+      if (!Number.isInteger(number)) {
+        return fail(label, value, `${typeName} (not an integer)`);
+      }
+      if (number < min || number > max) {
+        return fail(label, value, `${typeName} (range ${min}..${max})`);
+      }
+      return number;
+    }
+
+    case DataType.Int64:
+    case DataType.UInt64:
+      return toInt64Pair(value, dataType === DataType.UInt64, label);
+
+    case DataType.Float:
+    case DataType.Double: {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) {
+        return fail(label, value, typeName);
+      }
+      if (dataType === DataType.Float && Math.abs(number) > 3.4028234663852886e38) {
+        return fail(label, value, `${typeName} (out of range)`);
+      }
+      return number;
+    }
+
+    case DataType.String:
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      return fail(label, value, typeName);
+
+    case DataType.DateTime: {
+      const date = value instanceof Date ? value : new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number' && !(value instanceof Date)) || isNaN(date.getTime())) {
+        return fail(label, value, `${typeName} (Date, ISO string or epoch milliseconds)`);
+      }
+      return date;
+    }
+
+    case DataType.ByteString:
+      if (Buffer.isBuffer(value)) {
+        return value;
+      }
+      if (Array.isArray(value) && value.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+        return Buffer.from(value);
+      }
+      if (typeof value === 'string') {
+        return Buffer.from(value, 'base64');
+      }
+      return fail(label, value, `${typeName} (Buffer, byte array or base64 string)`);
+
+    case DataType.LocalizedText:
+      if (typeof value === 'string') {
+        return { text: value };
+      }
+      if (value && typeof value === 'object' && typeof value.text === 'string') {
+        return value;
+      }
+      return fail(label, value, typeName);
+
+    default:
+      // Guid, NodeId, QualifiedName, ...: passed through, node-opcua coerces or rejects them
+      return value;
+  }
+}
+
+/**
+ * Convert an array value (ValueRank >= 1), checking the length against fixed ArrayDimensions.
+ * Multi-dimensional arrays are given as nested JS arrays and flattened row by row.
+ * @param {any} value
+ * @param {function(any, string, number): any} coerceElement - Called with each element, its label and index
+ * @param {number} rank - Number of dimensions (elements may be arrays themselves, e.g. Int64 `[high, low]`)
+ * @param {number[]|null} arrayDimensions - From the node (0 = any length)
+ * @param {string} label
+ * @returns {{ value: any[], dimensions: number[] }}
+ * @throws {ValueCoercionError}
+ */
+export function coerceArray(value, coerceElement, rank, arrayDimensions, label) {
+  const isArrayLike = (v) => Array.isArray(v) || ArrayBuffer.isView(v);
+  if (!isArrayLike(value)) {
+    return fail(label, value, 'an array');
+  }
+
+  const dimensions = [];
+  for (let level = value; dimensions.length < rank; level = level[0]) {
+    if (!isArrayLike(level)) {
+      return fail(label, value, `an array of ${rank} dimensions`);
+    }
+    dimensions.push(level.length);
+  }
+  const flat = Array.from(value).flat(rank - 1);
+  if (flat.length !== dimensions.reduce((a, b) => a * b, 1)) {
+    return fail(label, value, `an array (rows of different lengths)`);
+  }
+  if (arrayDimensions && arrayDimensions.length > 0) {
+    const fixed = arrayDimensions.length === dimensions.length &&
+      arrayDimensions.every((size, i) => size === 0 || size === dimensions[i]);
+    if (!fixed) {
+      return fail(label, `[${dimensions.join('x')}]`, `an array of dimensions [${arrayDimensions.join('x')}]`);
+    }
+  }
+
+  return {
+    value: flat.map((element, index) => coerceElement(element, `${label}[${index}]`, index)),
+    dimensions
+  };
+}
+
+/**
+ * Find the member addressed by a dot path inside a decoded structure (ExtensionObject),
+ * with its field definition. Numeric segments index arrays ("Motors.2.Speed").
+ * @param {object} root - Decoded ExtensionObject
+ * @param {string} fieldPath
+ * @param {string} label
+ * @returns {{ parent: object|Array, key: string|number, field: object, current: any }}
+ * @throws {ValueCoercionError}
+ */
+export function locateStructField(root, fieldPath, label) {
+  const parts = String(fieldPath).split('.').filter(Boolean);
+  if (parts.length === 0) {
+    throw new ValueCoercionError(`${label}: empty field path`);
+  }
+
+  let cur = root;
+  let parent = null;
+  let key = null;
+  let field = null;
+  for (const part of parts) {
+    if (Array.isArray(cur) || ArrayBuffer.isView(cur)) {
+      const index = Number(part);
+      if (!Number.isInteger(index) || index < 0 || index >= cur.length) {
+        throw new ValueCoercionError(`${label}: no element "${part}" in "${fieldPath}" (length ${cur.length})`);
+      }
+      field = { ...field, isArray: false };
+      key = index;
+    } else {
+      const fields = cur && cur.schema && cur.schema.fields;
+      if (!fields) {
+        throw new ValueCoercionError(`${label}: "${fieldPath}" — not a structure at segment "${part}"`);
+      }
+      field = fields.find((f) => f.name === part || f.originalName === part);
+      if (!field) {
+        throw new ValueCoercionError(
+          `${label}: no member "${part}" in "${fieldPath}". Members: ${fields.map((f) => f.name).join(', ')}`
+        );
+      }
+      key = field.name;
+    }
+    parent = cur;
+    cur = cur[key];
+  }
+  return { parent, key, field, current: cur };
+}
+
+/**
+ * Convert a value for a structure member, using its field definition.
+ * @param {any} value
+ * @param {object} field - Field of the structure schema (`fieldType`, `category`, `isArray`)
+ * @param {any} current - Current member value (needed for nested structures)
+ * @param {string} label
+ * @returns {any}
+ * @throws {ValueCoercionError}
+ */
+export function coerceStructField(value, field, current, label) {
+  if (field.isArray) {
+    const element = { ...field, isArray: false };
+    return coerceArray(
+      value,
+      (item, itemLabel, index) => coerceStructField(item, element, current ? current[index] : undefined, itemLabel),
+      1,
+      null,
+      label
+    ).value;
+  }
+
+  if (field.category === 'complex') {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || !current || typeof current !== 'object') {
+      return fail(label, value, `a ${field.fieldType} structure`);
+    }
+    const unknown = unknownMembers(current.schema, value);
+    if (unknown.length > 0) {
+      throw new ValueCoercionError(`${label}: ${field.fieldType} has no member(s) ${unknown.join(', ')}`);
+    }
+    // Members not given keep their current value
+    return new current.constructor({ ...current, ...value });
+  }
+  if (field.category === 'enumeration') {
+    return coerceScalar(value, DataType.Int32, label);
+  }
+
+  const dataType = DataType[field.fieldType] ?? (field.schema ? DataType[field.schema.subType] : undefined);
+  return dataType === undefined ? value : coerceScalar(value, dataType, label);
+}
+
+/**
+ * @param {object|undefined} schema - Structure schema (`fields`)
+ * @param {object} value - Plain object given by the caller
+ * @returns {string[]} Keys of value that are not members of the structure
+ */
+export function unknownMembers(schema, value) {
+  if (!schema || !schema.fields) {
+    return [];
+  }
+  const names = new Set(schema.fields.flatMap((f) => [f.name, f.originalName]));
+  return Object.keys(value).filter((key) => !names.has(key));
+}
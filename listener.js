@@ -1,110 +1,131 @@
 'use strict'
 
-const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
+const queue = require('./queue');
+const monitoring = require('./monitoring');
+const { isWritableTag, startCommandChannel } = require('./commands');
+const { loadPlcConfigs, opcuaSecurityOptions, plcNameForTag, groupTagsByPlc } = require('./plc-config');
+const { tagDeadband, hasTagValueChanged } = require('./change-detection');
+const tagListFile = require('./tag-list');
+const { createMachineStateEngine } = require('./machine-state');
+const { refreshMonitoredTags } = require('./monitored-tags');
+const counters = require('./counters');
+const { tagPriority } = require('./retention');
+const historian = require('./historian');
+const { isSameTagAddress, listenableTagReadRequest, resolveListenableTagNodeId, writeTarget } = require('./tag-address');
 
 // Load configuration
 const config = require('./config.json');
 
-const plcAddress = config.plc.ip;
-const plcPort = config.plc.port || 4840; // OPC UA default port
-const scanRate = config.plc.scanRate || 500; // Polling interval in ms
 const dbPath = config.database.connectionString;
-const plcBrowseFrom = config.plc.opcuaBrowseFrom || 'ns=0;i=85';
-const plcNamespacePrefix = config.plc.opcuaNamespacePrefix || null;
+const plcConfigs = loadPlcConfigs(config);
+const tagListSettings = tagListFile.tagListSettings(config);
 
-var tagList = require('./tags-to-listen.json');
+// Current tags-to-listen.json, replaced when the file is reloaded
+var tagList = tagListFile.loadTagList(tagListSettings.file);
 
-// Store previous values to detect changes
+// Last registered sample per tag, to detect changes: { value, quality }, plus { date, persisted: true }
+// for the values of the previous run (TAG_STATE in the queue database) until the tag's first sample
 const previousValues = new Map();
+// Last counted value per counter tag (kept in the queue database across restarts), set once queued
+const counterValues = new Map();
+// Registration of each counter tag's values, one after the other (RegisterTagData)
+const counterWrites = new Map();
+// Deadband settings per listenable tag (tagDeadband), resolved when the tag list is loaded
+let deadbands = new Map();
 
-// OPC UA driver will be loaded dynamically
-let driver = null;
+// One entry per PLC connection: { name, config, driver, tags, tagsByCode, pollingTags, monitoredNodeIds, pollInterval }
+const plcs = [];
 
-/** @param {object} tag tags-to-listen.json entry @param {*} opcDriver OPCUADriver instance */
-async function readListenableTagValue(tag, opcDriver) {
-	const browseOpts = {
-		startingNodeId: tag.opcuaBrowseFrom || plcBrowseFrom,
-		maxDepth: tag.opcuaBrowseMaxDepth || 25
-	};
-	if (tag.opcuaNamespacePrefix != null && tag.opcuaNamespacePrefix !== '') {
-		browseOpts.namespacePrefix = tag.opcuaNamespacePrefix;
-	} else if (plcNamespacePrefix) {
-		browseOpts.namespacePrefix = plcNamespacePrefix;
-	}
-
-	if (tag.opcuaBrowseName) {
-		if (tag.opcuaFieldPath) {
-			return opcDriver.readTagFieldByBrowseName(
-				tag.opcuaBrowseName,
-				tag.opcuaFieldPath,
-				browseOpts
-			);
-		}
-		return opcDriver.readTagByBrowseName(tag.opcuaBrowseName, browseOpts);
-	}
-
-	const nodeIdOrCode = tag.opcuaNodeId || tag.tagCode;
-	if (tag.opcuaFieldPath) {
-		return opcDriver.readTagField(nodeIdOrCode, tag.opcuaFieldPath);
-	}
-	return opcDriver.readTag(nodeIdOrCode);
-}
+// Driver classes and the shared NodeId cache, to create PLC contexts at startup and on reload
+let drivers = null;
+let commandChannel = null;
+// Machine states from the setAutomatic / setStopped / setManual tags (null when disabled)
+let machineStates = null;
+// Local history of the registered values (null when config.json "historian" is not enabled)
+let historyDb = null;
+// Reloads of the tag list run one after the other
+let reloading = Promise.resolve();
 
 main();
 
 async function main() {
 	try {
-		// Dynamically import OPC UA driver (ES module)
-		const { default: OPCUADriver } = await import('./lib-opcua-driver/index.js');
-		
-		// Create OPC UA driver instance
-		driver = new OPCUADriver(plcAddress, plcPort);
+		// Dynamically import the PLC drivers (ES modules)
+		const { default: OPCUADriver, NodeIdCache } = await import('./lib-opcua-driver/index.js');
+		const { default: EthernetIpDriver } = await import('./lib-ethernetip-driver/index.js');
+
+		// Resolved OPC UA NodeIds, shared by all PLCs and kept across restarts
+		const nodeIdCache = new NodeIdCache({ file: config.nodeIdCache ? config.nodeIdCache.file : null });
+		drivers = { OPCUADriver, EthernetIpDriver, nodeIdCache };
 
 		// Filter only listenable tags
 		const listenableTags = tagList.filter(tag => tag.listenable);
+		const writableTags = tagList.filter(isWritableTag);
 		
-		if (listenableTags.length === 0) {
+		if (listenableTags.length === 0 && writableTags.length === 0) {
 			console.log(" -- No listenable tags found -- ");
 			process.exit(1);
 		}
 
-		console.log(` -- Found ${listenableTags.length} listenable tag(s) -- `);
+		console.log(` -- Found ${listenableTags.length} listenable tag(s) and ${writableTags.length} writable tag(s) -- `);
+
+		// Fail early on bad deadband settings
+		deadbands = resolveDeadbands(listenableTags);
+
+		// Create one driver instance per PLC that has listenable or writable tags
+		for (const [name, tags] of tagsByPlcName(tagList)) {
+			createPlc(name, tags);
+		}
 
 		// Initialize database
-		let db = await initializeDatabase(dbPath);
+		let db = await queue.openQueueDatabase(dbPath);
+		for (const [tagCode, state] of await queue.loadTagStates(db)) {
+			previousValues.set(tagCode, { value: state.value, quality: state.quality, date: state.date, persisted: true });
+		}
+		for (const [tagCode, value] of await queue.loadCounterValues(db)) {
+			counterValues.set(tagCode, value);
+		}
 
-		// Connect to OPC UA server
-		console.log(` -- Connecting to OPC UA server at ${plcAddress}:${plcPort} -- `);
-		await driver.connect();
-		console.log(" -- Connected to OPC UA server -- ");
+		await startHistorian();
 
-		// Initialize all tags - read them once to get initial values
-		console.log(" -- Initializing tags -- ");
-		for (const tag of listenableTags) {
-			try {
-				const value = await readListenableTagValue(tag, driver);
-				previousValues.set(tag.tagCode, value);
-				console.log(` -- Tag ${tag.tagCode} initialized with value: ${value} -- `);
-				
-				// Register initial value
-				RegisterTagData(tag.tagCode, value, db);
-			} catch (error) {
-				console.log(` -- Error initializing tag ${tag.tagCode}: ${error.message} -- `);
-			}
+		if (config.machineState?.enabled !== false) {
+			machineStates = createMachineStateEngine(config.machineState, transition => registerMachineState(transition, db));
+			machineStates.setTags(tagList);
 		}
 
-		// Start polling loop
-		console.log(` -- Starting polling loop (interval: ${scanRate}ms) -- `);
-		startPolling(listenableTags, db);
+		startMonitoring(db);
+
+		// Supervisory writes; commands for a PLC that is still connecting fail and are reported as such
+		syncCommandChannel(db);
+
+		startTagListUpdates(db);
+
+		// Start every PLC concurrently; an unreachable one keeps retrying without blocking the others
+		await Promise.all(plcs.map(plc => startPlc(plc, db).catch(error => {
+			console.log(` -- [${plc.name}] Error starting PLC: ${error.message} -- `);
+		})));
 
 		// Handle graceful shutdown
 		process.on('SIGINT', async () => {
 			console.log('\n -- Shutting down gracefully -- ');
-			await driver.disconnect();
+			if (commandChannel) {
+				commandChannel.stop();
+			}
+			if (machineStates) {
+				machineStates.stop();
+			}
+			await Promise.all(plcs.map(plc => {
+				clearInterval(plc.pollInterval);
+				return plc.driver.disconnect().catch(() => {});
+			}));
+			drivers.nodeIdCache.save();
 			if (db) {
 				db.close();
 			}
+			if (historyDb) {
+				historyDb.close();
+			}
 			process.exit(0);
 		});
 
@@ -116,85 +137,685 @@ async function main() {
 	}
 }
 
-function startPolling(tags, db) {
-	const pollInterval = setInterval(async () => {
-		for (const tag of tags) {
-			try {
-				const currentValue = await readListenableTagValue(tag, driver);
-				const previousValue = previousValues.get(tag.tagCode);
+/** Open the historian (historian.js) and prune it every pruneInterval ms */
+async function startHistorian() {
+	const settings = historian.historianSettings(config);
+	if (!settings.enabled) {
+		return;
+	}
+	historyDb = await historian.openHistorian(settings.file);
+	console.log(` -- Recording registered values in the historian ${settings.file} -- `);
 
-				// Check if value changed
-				if (previousValue !== undefined && currentValue !== previousValue) {
-					console.log(` -- Tag ${tag.tagCode} changed from: ${previousValue} to: ${currentValue} -- `);
-					RegisterTagData(tag.tagCode, currentValue, db);
-				}
+	const prune = async () => {
+		try {
+			const deleted = await historian.pruneHistory(historyDb, settings);
+			if (deleted > 0) {
+				console.log(` -- Historian: deleted ${deleted} sample(s) beyond the retention limits -- `);
+			}
+		} catch (error) {
+			console.log(` -- Error pruning the historian: ${error.message} -- `);
+		}
+	};
+	if (settings.maxAgeDays > 0 || settings.maxRowsPerTag > 0) {
+		await prune();
+		setInterval(prune, settings.pruneInterval);
+	}
+}
+
+/**
+ * Listenable tags by PLC name; PLCs with only writable tags get an empty list (they still need a connection).
+ * @param {object[]} tags tags-to-listen.json entries
+ * @returns {Map<string, object[]>}
+ */
+function tagsByPlcName(tags) {
+	const tagsByPlc = groupTagsByPlc(tags.filter(tag => tag.listenable), plcConfigs);
+	for (const name of groupTagsByPlc(tags.filter(isWritableTag), plcConfigs).keys()) {
+		if (!tagsByPlc.has(name)) {
+			tagsByPlc.set(name, []);
+		}
+	}
+	return tagsByPlc;
+}
 
-				// Update previous value
-				previousValues.set(tag.tagCode, currentValue);
+/**
+ * Create the context and driver of a PLC (not connected yet).
+ * @returns {object|null} null when the PLC is not in config.json
+ */
+function createPlc(name, tags) {
+	const plcConfig = plcConfigs.find(plc => plc.name === name);
+	if (!plcConfig) {
+		console.log(` -- PLC "${name}" is not configured, ignoring ${tags.length} tag(s): ${tags.map(tag => tag.tagCode).join(', ')} -- `);
+		return null;
+	}
+	const driver = plcConfig.protocol === 'ethernetip'
+		? new drivers.EthernetIpDriver(plcConfig.ip, plcConfig.slot, { reconnect: plcConfig.reconnect })
+		: new drivers.OPCUADriver(plcConfig.ip, plcConfig.port, {
+			reconnect: plcConfig.reconnect,
+			nodeIdCache: drivers.nodeIdCache,
+			...opcuaSecurityOptions(plcConfig, config)
+		});
+	const plc = {
+		name: name,
+		config: plcConfig,
+		driver: driver,
+		tags: tags, // listenable tags of this PLC
+		tagsByCode: new Map(tags.map(tag => [tag.tagCode, tag])),
+		pollingTags: [], // tags read by the polling loop (the others are monitored by subscription)
+		monitoredNodeIds: new Map(), // tagCode -> NodeId of tags monitored by subscription
+		ready: false, // listening set up; tag changes before that only replace plc.tags
+		updates: Promise.resolve(), // setup and tag changes run one at a time (see exclusive)
+		subscribed: false,
+		pollInterval: null,
+		lastPollAt: null, // last polling cycle without a read error
+		lastPollError: null,
+		lastNotificationAt: null // last subscription notification
+	};
+	watchConnection(plc);
+	plcs.push(plc);
+	return plc;
+}
+
+/** Run fn after the PLC's pending setup / tag changes */
+function exclusive(plc, fn) {
+	const run = plc.updates.then(fn);
+	plc.updates = run.catch(() => {});
+	return run;
+}
 
+/** Connect one PLC and start listening to its tags. */
+async function startPlc(plc, db) {
+	const { ip, port, slot, protocol } = plc.config;
+
+	// Connect to PLC
+	const address = protocol === 'ethernetip' ? `${ip} (slot ${slot})` : `${ip}:${port}`;
+	console.log(` -- [${plc.name}] Connecting to ${protocol} PLC at ${address} -- `);
+	try {
+		await plc.driver.connect();
+	} catch (error) {
+		console.log(` -- [${plc.name}] Error connecting to PLC: ${error.message} -- `);
+		if (machineStates) {
+			machineStates.markUnknown(plc.tags);
+		}
+		await plc.driver.reconnect();
+	}
+	console.log(` -- [${plc.name}] Connected to PLC -- `);
+
+	await exclusive(plc, () => setupListening(plc, db));
+}
+
+/** Subscribe to (or poll) the PLC's current tags and start the polling loop. */
+async function setupListening(plc, db) {
+	if (plc.config.listenMode === 'subscription' && plc.config.protocol !== 'opcua') {
+		console.log(` -- [${plc.name}] Subscriptions are not supported over ${plc.config.protocol}, polling instead -- `);
+	}
+	handleNotifications(plc, db);
+
+	// Subscribe to tags; the ones that cannot be monitored are polled instead
+	for (const tag of plc.tags) {
+		await startListeningTag(plc, tag);
+	}
+	if (plc.monitoredNodeIds.size > 0) {
+		console.log(` -- [${plc.name}] Monitoring ${plc.monitoredNodeIds.size} tag(s) by subscription -- `);
+	}
+
+	// Initialize polled tags - read them once to get initial values
+	if (plc.pollingTags.length > 0) {
+		console.log(` -- [${plc.name}] Initializing tags -- `);
+		try {
+			await pollTags(plc, plc.pollingTags, db);
+		} catch (error) {
+			console.log(` -- [${plc.name}] Error initializing tags: ${error.message} -- `);
+		}
+		console.log(` -- [${plc.name}] Starting polling loop for ${plc.pollingTags.length} tag(s) (interval: ${plc.config.scanRate}ms) -- `);
+	}
+
+	// Start polling loop (also for tags added later)
+	startPolling(plc, db);
+	plc.ready = true;
+}
+
+/** Register samples notified by the PLC's subscription for its current tags */
+function handleNotifications(plc, db) {
+	plc.driver.on('valueChanged', ({ key, sample }) => {
+		const tag = plc.tagsByCode.get(key);
+		if (tag && plc.monitoredNodeIds.has(key)) {
+			plc.lastNotificationAt = new Date();
+			monitoring.incCounter('tag_reads_total', tagLabels(tag, plc));
+			handleTagValue(tag, sample, db);
+		}
+	});
+	plc.driver.on('monitoredItemError', ({ key, error }) => {
+		const tag = plc.tagsByCode.get(key);
+		if (tag) {
+			monitoring.incCounter('tag_read_errors_total', tagLabels(tag, plc));
+			if (machineStates) {
+				machineStates.markUnknown([tag]);
+			}
+		}
+		console.log(` -- Error on monitored tag ${key}: ${error.message} -- `);
+	});
+}
+
+/** Monitor a tag by subscription when configured and possible, otherwise add it to the polling loop. */
+async function startListeningTag(plc, tag) {
+	const bySubscription = plc.config.listenMode === 'subscription' &&
+		plc.config.protocol === 'opcua' &&
+		tag.listenMode !== 'polling';
+	if (bySubscription) {
+		try {
+			await ensureSubscription(plc);
+			const nodeId = await resolveListenableTagNodeId(tag, plc);
+			const monitoredNodeId = await monitorListenableTag(tag, nodeId, plc);
+			plc.monitoredNodeIds.set(tag.tagCode, monitoredNodeId);
+			console.log(` -- Tag ${tag.tagCode} monitored on ${monitoredNodeId} -- `);
+			return;
+		} catch (error) {
+			console.log(` -- Cannot monitor tag ${tag.tagCode}, falling back to polling: ${error.message} -- `);
+		}
+	}
+	// Replaced, not mutated: a running polling cycle keeps the list it started with
+	plc.pollingTags = [...plc.pollingTags, tag];
+}
+
+/**
+ * Stop monitoring / polling a tag (the connection stays up).
+ * @param {boolean} [keepValue] keep its last value for change detection (the tag is restarted on the same address)
+ */
+async function stopListeningTag(plc, tag, keepValue = false) {
+	if (plc.monitoredNodeIds.has(tag.tagCode)) {
+		plc.monitoredNodeIds.delete(tag.tagCode);
+		try {
+			await plc.driver.removeMonitoredItem(tag.tagCode);
+		} catch (error) {
+			console.log(` -- Error removing monitored tag ${tag.tagCode}: ${error.message} -- `);
+		}
+	}
+	plc.pollingTags = plc.pollingTags.filter(pollingTag => pollingTag.tagCode !== tag.tagCode);
+	if (!keepValue) {
+		previousValues.delete(tag.tagCode);
+	}
+}
+
+async function ensureSubscription(plc) {
+	if (plc.subscribed) {
+		return;
+	}
+	await plc.driver.createSubscription({
+		publishingInterval: plc.config.subscription.publishingInterval || plc.config.scanRate
+	});
+	plc.subscribed = true;
+	console.log(` -- [${plc.name}] Subscription created -- `);
+}
+
+/** @returns {Map<string, object|null>} parsed deadband by tagCode; throws on invalid settings */
+function resolveDeadbands(tags) {
+	return new Map(tags.map(tag => [tag.tagCode, tagDeadband(tag)]));
+}
+
+/**
+ * Watch tags-to-listen.json and/or sync it from the API (config.json "tags", see tag-list.js);
+ * SIGHUP also reloads it.
+ */
+function startTagListUpdates(db) {
+	const { file, watch, watchInterval, syncInterval } = tagListSettings;
+	if (watch) {
+		tagListFile.watchTagList(file, watchInterval, () => reloadTagList(db));
+		console.log(` -- Watching ${file} for tag changes -- `);
+	}
+	if (syncInterval > 0) {
+		setInterval(async () => {
+			try {
+				if (await tagListFile.syncTagListFromApi(file)) {
+					console.log(' -- Tag list updated from the API -- ');
+					await reloadTagList(db);
+				}
 			} catch (error) {
-				console.log(` -- Error reading tag ${tag.tagCode}: ${error.message} -- `);
+				console.log(` -- Error syncing tag list from the API: ${error.message} -- `);
 			}
+		}, syncInterval);
+		console.log(` -- Syncing the tag list from the API every ${syncInterval}ms -- `);
+	}
+	process.on('SIGHUP', () => reloadTagList(db));
+}
+
+/** Reload tags-to-listen.json and apply the difference; an invalid file keeps the current tags. */
+function reloadTagList(db) {
+	reloading = reloading.then(() => applyTagList(db)).catch(error => {
+		console.log(` -- Error applying tag changes: ${error.message} -- `);
+	});
+	return reloading;
+}
+
+async function applyTagList(db) {
+	let newTagList;
+	let newDeadbands;
+	try {
+		newTagList = tagListFile.loadTagList(tagListSettings.file);
+		newDeadbands = resolveDeadbands(newTagList.filter(tag => tag.listenable));
+	} catch (error) {
+		console.log(` -- Tag list not reloaded, keeping the current one: ${error.message} -- `);
+		return;
+	}
+
+	const diff = tagListFile.diffTagLists(tagList, newTagList);
+	if (tagListFile.isEmptyDiff(diff)) {
+		return;
+	}
+	console.log(` -- Tag list changed: ${tagListFile.describeDiff(diff)} -- `);
+	tagList = newTagList;
+	deadbands = newDeadbands;
+	if (machineStates) {
+		machineStates.setTags(tagList);
+	}
+
+	// Changed tags are stopped and started again with their new settings; their last value is kept
+	// unless they now read another PLC variable
+	const changedCodes = new Set(diff.changed.map(({ after }) => after.tagCode));
+	const readdressedCodes = new Set(diff.changed
+		.filter(({ before, after }) => !isSameTagAddress(before, after))
+		.map(({ after }) => after.tagCode));
+	const tagsByPlc = tagsByPlcName(newTagList);
+	// PLCs left without tags stay connected
+	for (const plc of plcs) {
+		if (!tagsByPlc.has(plc.name)) {
+			tagsByPlc.set(plc.name, []);
+		}
+	}
+
+	for (const [name, tags] of tagsByPlc) {
+		const plc = plcs.find(candidate => candidate.name === name);
+		if (!plc) {
+			const newPlc = createPlc(name, tags);
+			if (newPlc) {
+				startPlc(newPlc, db).catch(error => {
+					console.log(` -- [${newPlc.name}] Error starting PLC: ${error.message} -- `);
+				});
+			}
+			continue;
+		}
+		await exclusive(plc, () => applyPlcTags(plc, tags, changedCodes, readdressedCodes));
+	}
+
+	syncCommandChannel(db);
+}
+
+/**
+ * Start / stop listening to the tags added to / removed from a PLC.
+ * @param {Set<string>} changedCodes tags to restart @param {Set<string>} readdressedCodes restarted tags that lose their last value
+ */
+async function applyPlcTags(plc, tags, changedCodes, readdressedCodes) {
+	const restart = tag => changedCodes.has(tag.tagCode);
+	const newCodes = new Set(tags.map(tag => tag.tagCode));
+	const oldCodes = new Set(plc.tags.map(tag => tag.tagCode));
+	const removed = plc.tags.filter(tag => !newCodes.has(tag.tagCode) || restart(tag));
+	const added = tags.filter(tag => !oldCodes.has(tag.tagCode) || restart(tag));
+
+	const keepValue = tag => newCodes.has(tag.tagCode) && !readdressedCodes.has(tag.tagCode);
+
+	plc.tags = tags;
+	if (!plc.ready) {
+		// Not connected yet: setupListening picks up the new list
+		for (const tag of removed.filter(tag => !keepValue(tag))) {
+			previousValues.delete(tag.tagCode);
+		}
+		plc.tagsByCode = new Map(tags.map(tag => [tag.tagCode, tag]));
+		return;
+	}
+	if (removed.length === 0 && added.length === 0) {
+		return;
+	}
+
+	for (const tag of removed) {
+		await stopListeningTag(plc, tag, keepValue(tag));
+	}
+	plc.tagsByCode = new Map(tags.map(tag => [tag.tagCode, tag]));
+	for (const tag of added) {
+		await startListeningTag(plc, tag);
+	}
+	console.log(` -- [${plc.name}] Listening to ${tags.length} tag(s): ${plc.monitoredNodeIds.size} by subscription, ${plc.pollingTags.length} polled -- `);
+}
+
+/** Start the command channel when there are writable tags, or give it the current ones. */
+function syncCommandChannel(db) {
+	const writableTags = tagList.filter(isWritableTag);
+	if (commandChannel) {
+		commandChannel.setTags(writableTags);
+		return;
+	}
+	// PLC writes are opt-in: config.json "commands.enabled": true
+	if (writableTags.length > 0 && config.commands?.enabled === true) {
+		commandChannel = startCommandChannel({
+			tags: writableTags,
+			plcForTag: tag => plcs.find(plc => plc.name === plcNameForTag(tag, plcConfigs)),
+			resolveTarget: writeTarget,
+			db: db
+		}, config.commands);
+	}
+}
+
+function watchConnection(plc) {
+	plc.driver.on('connectionLost', ({ reason }) => {
+		console.log(` -- [${plc.name}] Connection to PLC lost (${reason}) -- `);
+		if (machineStates) {
+			machineStates.markUnknown(plc.tags);
+		}
+	});
+	plc.driver.on('reconnecting', ({ attempt, delay }) => {
+		console.log(` -- [${plc.name}] Reconnecting to PLC in ${delay}ms (attempt ${attempt}) -- `);
+	});
+	plc.driver.on('reconnected', async ({ attempts }) => {
+		console.log(` -- [${plc.name}] Reconnected to PLC after ${attempts} attempt(s) -- `);
+		try {
+			await exclusive(plc, () => refreshMonitoredTags(plc, (tag, nodeId) => monitorListenableTag(tag, nodeId, plc)));
+		} catch (error) {
+			console.log(` -- [${plc.name}] Error refreshing monitored tags: ${error.message} -- `);
+		}
+	});
+}
+
+/** @returns {Promise<string>} monitored NodeId */
+function monitorListenableTag(tag, nodeId, plc) {
+	const subscriptionConfig = plc.config.subscription;
+	// An absolute deadband on a scalar also filters on the server; handleTagValue still applies the full one
+	const deadband = deadbands.get(tag.tagCode);
+	const filter = deadband && deadband.absolute > 0 && !tag.opcuaFieldPath
+		? { deadbandType: 'Absolute', deadbandValue: deadband.absolute }
+		: undefined;
+	return plc.driver.addMonitoredItem(tag.tagCode, nodeId, {
+		samplingInterval: tag.samplingInterval ?? subscriptionConfig.samplingInterval,
+		queueSize: subscriptionConfig.queueSize,
+		filter: filter,
+		fieldPath: tag.opcuaFieldPath
+	});
+}
+
+/** /health and /metrics (config.monitoring.listener) */
+function startMonitoring(db) {
+	monitoring.defineMetric('plc_connected', 'gauge', 'PLC connection state (1 = connected)');
+	monitoring.defineMetric('tag_reads_total', 'counter', 'Tag values read or notified');
+	monitoring.defineMetric('tag_read_errors_total', 'counter', 'Failed tag reads and bad notifications');
+	monitoring.defineMetric('tag_registered_total', 'counter', 'Tag values queued for the supervisory API');
+	monitoring.defineMetric('poll_cycle_duration_seconds', 'histogram', 'Duration of a polling cycle');
+	monitoring.defineMetric('queue_depth', 'gauge', 'Jobs in the local queue by status');
+
+	monitoring.onCollect(async () => {
+		for (const plc of plcs) {
+			monitoring.setGauge('plc_connected', { plc: plc.name }, plc.driver.isConnected() ? 1 : 0);
+		}
+		for (const status of [queue.STATUS_PENDING, queue.STATUS_RETRY, queue.STATUS_DEAD]) {
+			monitoring.setGauge('queue_depth', { status: status }, await queue.countJobs(db, [status]));
+		}
+	});
+
+	monitoring.startMonitoringServer(config.monitoring?.listener, () => {
+		const status = plcs.map(plc => ({
+			name: plc.name,
+			protocol: plc.config.protocol,
+			connected: plc.driver.isConnected(),
+			lastPollAt: plc.lastPollAt,
+			lastPollError: plc.lastPollError,
+			lastNotificationAt: plc.lastNotificationAt
+		}));
+		return {
+			healthy: status.every(plc => plc.connected),
+			plcs: status,
+			machines: machineStates ? machineStates.states() : []
+		};
+	});
+}
+
+/** Metric labels of a tag */
+function tagLabels(tag, plc) {
+	return { plc: plc.name, tag: tag.tagCode, machine: tag.machineCode || '' };
+}
+
+/** Poll plc.pollingTags every scanRate (the list changes when tags are reloaded) */
+function startPolling(plc, db) {
+	let polling = false;
+	plc.pollInterval = setInterval(async () => {
+		if (!plc.driver.isConnected() || polling || plc.pollingTags.length === 0) {
+			// Driver is reconnecting or the previous cycle is still running; try again on the next tick
+			return;
+		}
+		polling = true;
+		const startedAt = Date.now();
+		try {
+			await pollTags(plc, plc.pollingTags, db);
+		} catch (error) {
+			console.log(` -- [${plc.name}] Error on polling cycle: ${error.message} -- `);
+		} finally {
+			polling = false;
+		}
+		const duration = Date.now() - startedAt;
+		monitoring.observe('poll_cycle_duration_seconds', { plc: plc.name }, duration / 1000);
+		if (duration > plc.config.scanRate) {
+			console.log(` -- [${plc.name}] Polling cycle took ${duration}ms (scan rate ${plc.config.scanRate}ms) -- `);
 		}
-	}, scanRate);
+	}, plc.config.scanRate);
+}
+
+/** Read all tags in one batch (driver readTags) and register the ones that changed. */
+async function pollTags(plc, tags, db) {
+	const requests = tags.map(tag => listenableTagReadRequest(tag, plc));
+
+	let results;
+	try {
+		results = await plc.driver.readTags(requests);
+	} catch (error) {
+		plc.lastPollError = error.message;
+		if (machineStates) {
+			machineStates.markUnknown(tags);
+		}
+		throw error;
+	}
+
+	let failed = 0;
+	results.forEach((result, index) => {
+		const tag = tags[index];
+		if (plc.tagsByCode.get(tag.tagCode) !== tag) {
+			// Removed or changed while it was being read
+			return;
+		}
+		if (result.error) {
+			failed++;
+			monitoring.incCounter('tag_read_errors_total', tagLabels(tag, plc));
+			console.log(` -- Error reading tag ${tag.tagCode}: ${result.error} -- `);
+			if (machineStates) {
+				machineStates.markUnknown([tag]);
+			}
+			return;
+		}
+		monitoring.incCounter('tag_reads_total', tagLabels(tag, plc));
+		handleTagValue(tag, result, db);
+	});
+
+	if (failed === 0) {
+		plc.lastPollAt = new Date();
+		plc.lastPollError = null;
+	} else {
+		plc.lastPollError = `${failed} of ${results.length} tag(s) not readable`;
+	}
+}
+
+/**
+ * Register a sample read or notified for a tag when its value differs from the last registered one
+ * (deadband / deep comparison, see change-detection.js) or its quality changed.
+ * The first sample after a restart is compared with the value registered by the previous run:
+ * unchanged, it is not registered again; changed, it is flagged as changed while the listener was stopped.
+ * @param {object} sample `{ value, quality, statusCode, sourceTimestamp }` from the driver
+ */
+function handleTagValue(tag, sample, db) {
+	// Every sample, not only changes: a machine goes back online with unchanged values
+	if (machineStates) {
+		machineStates.update(tag, sample);
+	}
+
+	const previous = previousValues.get(tag.tagCode);
+	const currentValue = sample.value;
+
+	if (previous === undefined) {
+		console.log(` -- Tag ${tag.tagCode} initialized with value: ${formatValue(currentValue)} (${sample.quality}) -- `);
+	} else if (hasTagValueChanged(deadbands.get(tag.tagCode), previous.value, currentValue)) {
+		const since = previous.persisted ? ` (registered ${previous.date}, changed while stopped)` : '';
+		console.log(` -- Tag ${tag.tagCode} changed from: ${formatValue(previous.value)} to: ${formatValue(currentValue)}${since} -- `);
+	} else if (sample.quality !== previous.quality) {
+		console.log(` -- Tag ${tag.tagCode} quality changed from: ${previous.quality} to: ${sample.quality} (${sample.statusCode}) -- `);
+	} else {
+		if (previous.persisted) {
+			console.log(` -- Tag ${tag.tagCode} unchanged since ${previous.date}: ${formatValue(currentValue)} -- `);
+			previousValues.set(tag.tagCode, { value: previous.value, quality: previous.quality });
+		}
+		return;
+	}
+
+	const registered = { value: currentValue, quality: sample.quality };
+	previousValues.set(tag.tagCode, registered);
+	RegisterTagData(tag, sample, db, previous && previous.persisted ? previous : null).then(queued => {
+		// Not queued: forget it so the next sample registers the change again (unless a newer one did)
+		if (!queued && previousValues.get(tag.tagCode) === registered) {
+			previousValues.delete(tag.tagCode);
+		}
+	});
+}
 
-	// Store interval reference for cleanup if needed
-	driver.pollInterval = pollInterval;
+function formatValue(value) {
+	return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
 }
 
-function RegisterTagData(tagCode, value, db) {
+/**
+ * @param {object|null} lastKnown value registered by the previous run, when the tag changed while the
+ *   listener was stopped
+ * @returns {Promise<boolean>} whether the value was queued (never rejects)
+ */
+function RegisterTagData(tag, sample, db, lastKnown) {
+	var tagData;
 	try {
-		// Convert value to number if possible, otherwise keep original
-		let numericValue = value;
-		if (typeof value === 'boolean') {
-			numericValue = value ? 1 : 0;
-		} else if (typeof value === 'number') {
-			numericValue = value;
-		} else {
-			// Try to parse as number
-			const parsed = Number(value);
-			numericValue = isNaN(parsed) ? value : parsed;
-		}
-
-		var tagData = {
-			tagCode: tagCode,
+		const value = sample.value;
+		const numericValue = toRegisteredValue(value);
+
+		tagData = {
+			tagCode: tag.tagCode,
+			machineCode: tag.machineCode,
 			date: new Date(),
-			value: numericValue
+			value: numericValue,
+			quality: sample.quality || 'good', // 'good' | 'uncertain'
+			statusCode: sample.statusCode || null,
+			sourceTimestamp: sample.sourceTimestamp || null, // PLC time of the value, when the protocol has one
+			priority: tagPriority(tag) // Kept longer by the queue retention limits (retention.js)
 		};
-		
-		console.log(" -- Register: " + JSON.stringify(tagData) + " -- ");
+		if (lastKnown) {
+			tagData.details = {
+				changedWhileStopped: true,
+				lastKnownValue: toRegisteredValue(lastKnown.value),
+				lastKnownQuality: lastKnown.quality,
+				lastKnownDate: lastKnown.date
+			};
+		}
+		if (!counters.isCounterTag(tag) || typeof numericValue !== 'number') {
+			return queueTagData(tag, tagData, value, false, db);
+		}
 
-		db.run('INSERT INTO QUEUE (job) VALUES(?)', [JSON.stringify(tagData)], function (err) {
-			if (err) {
-				console.log(" -- Error on register " + JSON.stringify(tagData) + " -- " + err.message);
-			} else {
-				console.log(" -- Registered: " + JSON.stringify(tagData) + " -- ");
+		// Pieces are counted from the last queued value: a value that could not be queued is counted
+		// by the next one instead of being lost
+		const write = (counterWrites.get(tag.tagCode) || Promise.resolve()).then(async () => {
+			const counter = countPieces(tag, numericValue, sample.dataType);
+			if (counter) {
+				tagData.details = { ...counter, ...tagData.details };
+			}
+			const queued = await queueTagData(tag, tagData, value, !!counter, db);
+			if (queued && counter) {
+				counterValues.set(tag.tagCode, numericValue);
 			}
+			return queued;
+		}).catch(err => {
+			console.log(` -- Error counting ${tag.tagCode}: ${err.message} -- `);
+			return false;
 		});
+		counterWrites.set(tag.tagCode, write);
+		return write;
 	} catch (err) {
 		console.log(" -- Error on register Tag " + JSON.stringify(tagData) + " -- " + err.message);
+		return Promise.resolve(false);
 	}
 }
 
-function initializeDatabase(dbPath) {
-	return new Promise(function (resolve, reject) {
-		let dbConnection = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, function (err) {
-			if (err) {
-				console.error(err.message);
-				reject(err.message);
-				throw err;
-			} else {
-				console.log(' -- Connected to SQLite database -- ');
-			}
-		});
+/** Queue a tag value (and its last-known value, see queue.enqueueTagValue) and record it in the historian */
+function queueTagData(tag, tagData, value, isCounter, db) {
+	console.log(" -- Register: " + JSON.stringify(tagData) + " -- ");
 
-		let query = 'CREATE TABLE IF NOT EXISTS QUEUE (id INTEGER PRIMARY KEY ASC AUTOINCREMENT, job TEXT);'
-		dbConnection.exec(query, function (err) {
-			if (err !== null) {
-				reject(err);
-			} else {
-				resolve(dbConnection);
-			}
+	const queued = queue.enqueueTagValue(db, tagData, value, isCounter).then(function () {
+		monitoring.incCounter('tag_registered_total', { tag: tag.tagCode, machine: tag.machineCode || '' });
+		console.log(" -- Registered: " + JSON.stringify(tagData) + " -- ");
+		return true;
+	}, function (err) {
+		console.log(" -- Error on register " + JSON.stringify(tagData) + " -- " + err.message);
+		return false;
+	});
+	if (historyDb) {
+		historian.recordSample(historyDb, tagData).catch(function (err) {
+			console.log(` -- Error recording ${tag.tagCode} in the historian: ${err.message} -- `);
 		});
+	}
+	return queued;
+}
+
+/** Convert value to number if possible, otherwise keep original */
+function toRegisteredValue(value) {
+	if (typeof value === 'boolean') {
+		return value ? 1 : 0;
+	}
+	if (typeof value === 'string') {
+		// Try to parse as number
+		const parsed = Number(value);
+		return isNaN(parsed) || value.trim() === '' ? value : parsed;
+	}
+	return value;
+}
+
+/**
+ * Pieces produced since the last counted value of a counter tag (see counters.js); the caller keeps
+ * the value as counted once it is queued.
+ * @returns {{ delta: number, counterEvent: string }|null} null when the tag's counter settings are invalid
+ */
+function countPieces(tag, value, dataType) {
+	let settings;
+	try {
+		settings = counters.counterSettings(tag, dataType);
+	} catch (error) {
+		console.log(` -- ${error.message}, registering the raw value only -- `);
+		return null;
+	}
+	const previous = counterValues.get(tag.tagCode);
+	const { delta, event } = counters.counterDelta(previous, value, settings);
+	if (event === counters.EVENT_ROLLOVER || event === counters.EVENT_RESET) {
+		console.log(` -- Counter ${tag.tagCode} ${event} from ${previous} to ${value}, delta ${delta} -- `);
+	}
+	return { delta: delta, counterEvent: event };
+}
+
+/** Queue a machine state transition (machine-state.js) for register.js */
+function registerMachineState(transition, db) {
+	const was = transition.previousState
+		? ` (was ${transition.previousState} for ${(transition.durationMs / 1000).toFixed(1)}s)`
+		: '';
+	const conflict = transition.conflict ? `, active: ${transition.signals.join(', ') || 'none'}` : '';
+	console.log(` -- Machine ${transition.machineCode}: ${transition.state}${was}${conflict} -- `);
+
+	queue.serializeWrite(db, () => queue.enqueue(db, {
+		tagCode: `${transition.machineCode}#state`,
+		machineCode: transition.machineCode,
+		date: transition.date,
+		value: transition.state,
+		recordType: queue.RECORD_MACHINE_STATE,
+		priority: queue.PRIORITY_STATE,
+		details: {
+			previousState: transition.previousState,
+			previousSince: transition.previousSince,
+			durationMs: transition.durationMs,
+			signals: transition.signals,
+			conflict: transition.conflict
+		}
+	})).catch(err => {
+		console.log(` -- Error on register machine state ${transition.machineCode}: ${err.message} -- `);
 	});
 }
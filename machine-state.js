@@ -0,0 +1,227 @@
+'use strict'
+
+/**
+ * Machine state engine: one state per machine, derived from the tags whose `function` is one of
+ *   setAutomatic  -> running
+ *   setStopped    -> stopped
+ *   setManual     -> manual
+ * (several tags with the same role on a machine are OR-ed).
+ *
+ * States: 'running' | 'stopped' | 'manual' | 'offline' | 'ambiguous'
+ *   offline    the PLC is disconnected or a role tag has no good value (not read yet, read error)
+ *   ambiguous  more than one role is active, or none is while the machine has a setStopped tag
+ *              (without one, no active role means stopped)
+ * With config.json "machineState": { "priority": ["setStopped", "setManual", "setAutomatic"] }
+ * conflicts resolve to the first active role of the list instead of 'ambiguous' (the transition
+ * is still flagged as a conflict).
+ *
+ * A new state is committed once it held for settleTime ms (default 1000), so roles switching in
+ * different PLC scans or notifications do not produce short-lived states; the transition is dated
+ * when the new state first appeared. Each transition carries the previous state and its duration.
+ */
+
+const ROLE_STATES = {
+	setAutomatic: 'running',
+	setStopped: 'stopped',
+	setManual: 'manual'
+};
+
+const STATE_OFFLINE = 'offline';
+const STATE_AMBIGUOUS = 'ambiguous';
+const STATE_STOPPED = 'stopped';
+
+/** @param {object} tag tags-to-listen.json entry @returns {boolean} */
+function isMachineStateTag(tag) {
+	return Object.prototype.hasOwnProperty.call(ROLE_STATES, tag.function) && !!tag.machineCode;
+}
+
+/** Booleans, 0/1 (and other numbers), "true"/"false"/"1"/"0" */
+function isActive(value) {
+	if (typeof value === 'boolean') {
+		return value;
+	}
+	if (typeof value === 'number') {
+		return value !== 0;
+	}
+	if (typeof value === 'string') {
+		return /^(true|1)$/i.test(value.trim());
+	}
+	return false;
+}
+
+/**
+ * @param {Map<string, boolean|undefined>} signals role tag code -> active (undefined = no good value)
+ * @param {Map<string, string>} roles role tag code -> role (function)
+ * @param {string[]|null} priority roles in the order conflicts are resolved (null = ambiguous)
+ * @returns {{ state: string, active: string[], conflict: boolean }} active = roles that are on
+ */
+function deriveMachineState(signals, roles, priority) {
+	const active = new Set();
+	for (const [tagCode, role] of roles) {
+		const signal = signals.get(tagCode);
+		if (signal === undefined) {
+			return { state: STATE_OFFLINE, active: [], conflict: false };
+		}
+		if (signal) {
+			active.add(role);
+		}
+	}
+	const activeRoles = Object.keys(ROLE_STATES).filter(role => active.has(role));
+
+	if (activeRoles.length === 1) {
+		return { state: ROLE_STATES[activeRoles[0]], active: activeRoles, conflict: false };
+	}
+	if (activeRoles.length === 0) {
+		const hasStoppedTag = [...roles.values()].includes('setStopped');
+		return hasStoppedTag
+			? { state: STATE_AMBIGUOUS, active: activeRoles, conflict: true }
+			: { state: STATE_STOPPED, active: activeRoles, conflict: false };
+	}
+	const preferred = priority ? priority.find(role => active.has(role)) : undefined;
+	return { state: preferred ? ROLE_STATES[preferred] : STATE_AMBIGUOUS, active: activeRoles, conflict: true };
+}
+
+/**
+ * @param {object} [options] config.json "machineState": `{ settleTime, priority }`
+ * @param {function(object): void} onTransition called with
+ *   `{ machineCode, state, date, previousState, previousSince, durationMs, signals, conflict }`
+ *   (previousState null for the first state after start)
+ * @returns {{ setTags: function(object[]), update: function(object, object), markUnknown: function(object[]),
+ *   states: function(): object[], stop: function() }}
+ */
+function createMachineStateEngine(options = {}, onTransition) {
+	const settleTime = options.settleTime ?? 1000;
+	const priority = Array.isArray(options.priority) && options.priority.length > 0 ? options.priority : null;
+	if (priority) {
+		const unknown = priority.filter(role => !ROLE_STATES[role]);
+		if (unknown.length > 0) {
+			throw new Error(`Unknown machineState.priority role(s) ${unknown.join(', ')} (${Object.keys(ROLE_STATES).join(', ')})`);
+		}
+	}
+
+	// machineCode -> { roles, signals, state, since, pending }
+	const machines = new Map();
+	// role tag code -> machineCode
+	const machineOfTag = new Map();
+
+	/** Track the role tags of tags-to-listen.json (again after a reload; known signals are kept) */
+	function setTags(tags) {
+		const roleTags = tags.filter(tag => tag.listenable && isMachineStateTag(tag));
+		machineOfTag.clear();
+		const codes = new Set();
+		for (const tag of roleTags) {
+			codes.add(tag.machineCode);
+			machineOfTag.set(tag.tagCode, tag.machineCode);
+			if (!machines.has(tag.machineCode)) {
+				machines.set(tag.machineCode, {
+					roles: new Map(),
+					signals: new Map(),
+					state: null,
+					since: null,
+					pending: null
+				});
+			}
+		}
+		for (const [machineCode, machine] of machines) {
+			if (!codes.has(machineCode)) {
+				clearTimeout(machine.pending && machine.pending.timer);
+				machines.delete(machineCode);
+				continue;
+			}
+			machine.roles = new Map(roleTags
+				.filter(tag => tag.machineCode === machineCode)
+				.map(tag => [tag.tagCode, tag.function]));
+			for (const tagCode of machine.signals.keys()) {
+				if (!machine.roles.has(tagCode)) {
+					machine.signals.delete(tagCode);
+				}
+			}
+			// Machines start with their first sample or failure (see update / markUnknown)
+			if (machine.state !== null || machine.pending) {
+				evaluate(machineCode, machine);
+			}
+		}
+	}
+
+	/** A sample read or notified for a tag, good or uncertain (other tags are ignored) */
+	function update(tag, sample) {
+		const machineCode = machineOfTag.get(tag.tagCode);
+		if (machineCode === undefined) {
+			return;
+		}
+		const machine = machines.get(machineCode);
+		machine.signals.set(tag.tagCode, isActive(sample.value));
+		evaluate(machineCode, machine);
+	}
+
+	/** The tags' values are unknown (read error, PLC disconnected): their machines go offline */
+	function markUnknown(tags) {
+		const touched = new Set();
+		for (const tag of tags) {
+			const machineCode = machineOfTag.get(tag.tagCode);
+			if (machineCode !== undefined) {
+				machines.get(machineCode).signals.delete(tag.tagCode);
+				touched.add(machineCode);
+			}
+		}
+		touched.forEach(machineCode => evaluate(machineCode, machines.get(machineCode)));
+	}
+
+	function evaluate(machineCode, machine) {
+		const derived = deriveMachineState(machine.signals, machine.roles, priority);
+		if (derived.state === machine.state) {
+			if (machine.pending) {
+				clearTimeout(machine.pending.timer);
+				machine.pending = null;
+			}
+			return;
+		}
+		if (machine.pending && machine.pending.state === derived.state) {
+			machine.pending.derived = derived;
+			return;
+		}
+		if (machine.pending) {
+			clearTimeout(machine.pending.timer);
+		}
+		const pending = { state: derived.state, derived: derived, since: new Date(), timer: null };
+		pending.timer = setTimeout(() => commit(machineCode, machine, pending), settleTime);
+		machine.pending = pending;
+	}
+
+	function commit(machineCode, machine, pending) {
+		if (machine.pending !== pending) {
+			return;
+		}
+		machine.pending = null;
+		const transition = {
+			machineCode: machineCode,
+			state: pending.state,
+			date: pending.since,
+			previousState: machine.state,
+			previousSince: machine.since,
+			durationMs: machine.since ? pending.since - machine.since : null,
+			signals: pending.derived.active,
+			conflict: pending.derived.conflict
+		};
+		machine.state = pending.state;
+		machine.since = pending.since;
+		onTransition(transition);
+	}
+
+	return {
+		setTags: setTags,
+		update: update,
+		markUnknown: markUnknown,
+		// For /health
+		states: () => [...machines].map(([machineCode, machine]) => ({
+			machineCode: machineCode,
+			state: machine.state,
+			since: machine.since
+		})),
+		stop: () => {
+			machines.forEach(machine => clearTimeout(machine.pending && machine.pending.timer));
+		}
+	};
+}
+
+module.exports = { ROLE_STATES, isMachineStateTag, deriveMachineState, createMachineStateEngine }
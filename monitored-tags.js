@@ -0,0 +1,52 @@
+'use strict'
+
+/**
+ * Subscription tags of a PLC context after its driver reconnected (listener.js).
+ *
+ * The OPC UA driver restores monitored items on their old NodeIds and drops the ones the server
+ * refuses (driver.isMonitored). Tags resolved by browse name are resolved again in case a PLC
+ * download moved them; dropped tags are monitored again. A tag that cannot be resolved or
+ * monitored any more is polled instead, so it is never left unread.
+ */
+
+const { resolveListenableTagNodeId } = require('./tag-address');
+
+/**
+ * @param {object} plc PLC context: `{ config, driver, tags, monitoredNodeIds, pollingTags }`
+ * @param {function(object, string): Promise<string>} monitorTag (tag, nodeId) -> monitored NodeId
+ */
+async function refreshMonitoredTags(plc, monitorTag) {
+	for (const tag of plc.tags) {
+		const previousNodeId = plc.monitoredNodeIds.get(tag.tagCode);
+		if (!previousNodeId) {
+			continue;
+		}
+		const restored = plc.driver.isMonitored(tag.tagCode);
+		if (restored && !tag.opcuaBrowseName) {
+			continue;
+		}
+		try {
+			const nodeId = await resolveListenableTagNodeId(tag, plc, true);
+			if (restored && nodeId === previousNodeId) {
+				continue;
+			}
+			const monitoredNodeId = await monitorTag(tag, nodeId);
+			plc.monitoredNodeIds.set(tag.tagCode, monitoredNodeId);
+			console.log(restored
+				? ` -- Tag ${tag.tagCode} moved from ${previousNodeId} to ${monitoredNodeId} -- `
+				: ` -- Tag ${tag.tagCode} monitored again on ${monitoredNodeId} -- `);
+		} catch (error) {
+			console.log(` -- Cannot monitor tag ${tag.tagCode} after reconnect, falling back to polling: ${error.message} -- `);
+			plc.monitoredNodeIds.delete(tag.tagCode);
+			try {
+				await plc.driver.removeMonitoredItem(tag.tagCode);
+			} catch (removeError) {
+				console.log(` -- Error removing monitored tag ${tag.tagCode}: ${removeError.message} -- `);
+			}
+			// Replaced, not mutated: a running polling cycle keeps the list it started with
+			plc.pollingTags = [...plc.pollingTags, tag];
+		}
+	}
+}
+
+module.exports = { refreshMonitoredTags }
@@ -0,0 +1,161 @@
+'use strict'
+
+/**
+ * Optional local HTTP endpoint for listener.js and register.js:
+ *   GET /health   JSON status, 200 when healthy, 503 otherwise
+ *   GET /metrics  Prometheus text format (version 0.0.4)
+ *
+ * Enabled per process in config.json: "monitoring": { "listener": { "port": 9101 }, "register": { "port": 9102 } }.
+ * Metrics are kept in this module; processes define them once and update them as they work.
+ */
+
+const http = require('http');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const PREFIX = 'plcdriver_';
+
+// name -> { type, help, buckets, series: Map(labelKey -> { labels, value | buckets/sum/count }) }
+const metrics = new Map();
+// Run before each scrape, e.g. to read the queue depth
+const collectors = [];
+
+/**
+ * @param {string} name without prefix, e.g. "tag_reads_total"
+ * @param {'counter'|'gauge'|'histogram'} type
+ * @param {string} help
+ * @param {number[]} [buckets] histogram upper bounds in seconds
+ */
+function defineMetric(name, type, help, buckets = DEFAULT_BUCKETS) {
+	if (!metrics.has(name)) {
+		metrics.set(name, { type: type, help: help, buckets: buckets, series: new Map() });
+	}
+}
+
+function series(name, labels) {
+	const metric = metrics.get(name);
+	if (!metric) {
+		throw new Error(`Metric ${name} is not defined`);
+	}
+	const key = JSON.stringify(labels);
+	let entry = metric.series.get(key);
+	if (!entry) {
+		entry = metric.type === 'histogram'
+			? { labels: labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+			: { labels: labels, value: 0 };
+		metric.series.set(key, entry);
+	}
+	return { metric, entry };
+}
+
+function incCounter(name, labels = {}, value = 1) {
+	series(name, labels).entry.value += value;
+}
+
+function setGauge(name, labels = {}, value) {
+	series(name, labels).entry.value = value;
+}
+
+/** @param {number} value seconds */
+function observe(name, labels = {}, value) {
+	const { metric, entry } = series(name, labels);
+	metric.buckets.forEach((bound, index) => {
+		if (value <= bound) {
+			entry.counts[index]++;
+		}
+	});
+	entry.sum += value;
+	entry.count++;
+}
+
+/** @param {function(): Promise<void>|void} collector */
+function onCollect(collector) {
+	collectors.push(collector);
+}
+
+function formatLabels(labels, extra = {}) {
+	const all = { ...labels, ...extra };
+	const parts = Object.keys(all).map(key => {
+		const value = String(all[key] ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+		return `${key}="${value}"`;
+	});
+	return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+async function renderMetrics() {
+	for (const collector of collectors) {
+		try {
+			await collector();
+		} catch (error) {
+			console.log(` -- Error collecting metrics: ${error.message} -- `);
+		}
+	}
+
+	const lines = [];
+	for (const [name, metric] of metrics) {
+		const fullName = PREFIX + name;
+		lines.push(`# HELP ${fullName} ${metric.help}`);
+		lines.push(`# TYPE ${fullName} ${metric.type}`);
+		for (const entry of metric.series.values()) {
+			if (metric.type !== 'histogram') {
+				lines.push(`${fullName}${formatLabels(entry.labels)} ${entry.value}`);
+				continue;
+			}
+			metric.buckets.forEach((bound, index) => {
+				lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.counts[index]}`);
+			});
+			lines.push(`${fullName}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+			lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+			lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+		}
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Start the endpoint if configured.
+ * @param {object|undefined} options `{ port, host = '127.0.0.1' }`; nothing is started without a port
+ * @param {function(): Promise<{ healthy: boolean }>|{ healthy: boolean }} getHealth
+ * @returns {http.Server|null}
+ */
+function startMonitoringServer(options, getHealth) {
+	if (!options || !options.port) {
+		return null;
+	}
+	const host = options.host || '127.0.0.1';
+
+	const server = http.createServer(async (req, res) => {
+		try {
+			const path = req.url.split('?')[0];
+			if (req.method !== 'GET') {
+				res.writeHead(405);
+				return res.end();
+			}
+			if (path === '/health') {
+				const health = await getHealth();
+				res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+				return res.end(JSON.stringify(health, null, 2));
+			}
+			if (path === '/metrics') {
+				const body = await renderMetrics();
+				res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+				return res.end(body);
+			}
+			res.writeHead(404);
+			res.end();
+		} catch (error) {
+			res.writeHead(500, { 'Content-Type': 'text/plain' });
+			res.end(error.message);
+		}
+	});
+	server.on('error', error => {
+		console.log(` -- Monitoring endpoint error: ${error.message} -- `);
+	});
+	server.listen(options.port, host, () => {
+		console.log(` -- Monitoring endpoint on http://${host}:${options.port} (/health, /metrics) -- `);
+	});
+	// Never keep the process alive on its own
+	server.unref();
+	return server;
+}
+
+module.exports = { defineMetric, incCounter, setGauge, observe, onCollect, renderMetrics, startMonitoringServer }
@@ -0,0 +1,75 @@
+'use strict'
+
+/**
+ * Client certificate and trust list for OPC UA security (config.json "pki").
+ *
+ *   node opcua-pki.js init                 create the PKI folder and a self-signed client certificate
+ *   node opcua-pki.js list                 client certificate, trusted and rejected server certificates
+ *   node opcua-pki.js trust <thumbprint>   trust a rejected server certificate (the start of the thumbprint is enough)
+ *   node opcua-pki.js reject <thumbprint>  remove a server certificate from the trust list
+ *
+ * A secured PLC whose certificate is not trusted yet fails to connect and its certificate is saved
+ * in <pki>/rejected; trust it here (or copy it to <pki>/trusted/certs) and the listener connects on
+ * its next attempt. The client certificate (<pki>/own/certs/client_certificate.pem) has to be trusted
+ * on the PLC side the same way (TIA Portal / CODESYS certificate management).
+ */
+
+// Load configuration
+const config = require('./config.json');
+
+const command = process.argv[2] || 'list';
+const argument = process.argv[3];
+
+main();
+
+async function main() {
+	try {
+		const pkiApi = await import('./lib-opcua-driver/index.js');
+		const pki = pkiApi.normalizePkiOptions(config.pki);
+
+		if (command === 'init') {
+			const result = await pkiApi.ensureClientCertificate(pki);
+			console.log(` -- ${result.created ? 'Created' : 'Existing'} client certificate ${result.certificateFile} -- `);
+			printCertificate(result.certificate);
+			console.log(` -- Private key: ${result.privateKeyFile} -- `);
+		} else if (command === 'list') {
+			listCertificates(pkiApi, pki);
+		} else if (command === 'trust' || command === 'reject') {
+			if (!argument) {
+				throw new Error(`Usage: node opcua-pki.js ${command} <thumbprint>`);
+			}
+			const certificate = command === 'trust'
+				? await pkiApi.trustCertificate(pki, argument)
+				: await pkiApi.rejectCertificate(pki, argument);
+			console.log(` -- ${command === 'trust' ? 'Trusted' : 'Rejected'} certificate -- `);
+			printCertificate(certificate);
+		} else {
+			throw new Error(`Unknown command "${command}" (init, list, trust, reject)`);
+		}
+	} catch (err) {
+		console.log(` -- Error: ${err.message} -- `);
+		process.exit(1);
+	}
+}
+
+function listCertificates(pkiApi, pki) {
+	console.log(`\n -- PKI folder: ${pki.folder} -- \n`);
+
+	const { own, trusted, rejected } = pkiApi.listCertificates(pki);
+	console.log('Client certificate:');
+	if (own) {
+		printCertificate(own);
+	} else {
+		console.log('    none (node opcua-pki.js init)');
+	}
+	console.log(`\nTrusted server certificates: ${trusted.length}`);
+	trusted.forEach(printCertificate);
+	console.log(`\nRejected server certificates: ${rejected.length}`);
+	rejected.forEach(printCertificate);
+	console.log('');
+}
+
+function printCertificate(certificate) {
+	console.log(`    ${certificate.thumbprint}  ${certificate.subject}`);
+	console.log(`        ${certificate.applicationUri || '-'}, valid until ${certificate.validTo}`);
+}
@@ -0,0 +1,127 @@
+'use strict'
+
+/**
+ * Named PLC connections from config.json.
+ *
+ * `plcs` is a list of connections, each with a unique `name`. The legacy single `plc`
+ * block is still accepted and read as one connection named "default".
+ * Tags pick their connection with `plc` (tags-to-listen.json); otherwise the PLC whose
+ * `machineCodes` lists the tag's machineCode is used, and finally the first PLC.
+ *
+ * OPC UA security per PLC (see opcuaSecurityOptions):
+ *   "security": { "mode": "SignAndEncrypt", "policy": "Basic256Sha256" }
+ *   "userIdentity": { "type": "username", "userName": "operator", "passwordEnv": "PLC1_OPCUA_PASSWORD" }
+ *   "userIdentity": { "type": "certificate", "certificateFile": "pki/user/cert.pem", "privateKeyFile": "pki/user/key.pem" }
+ * The client certificate and the trust list of server certificates are shared by all PLCs:
+ *   "pki": { "folder": "pki", "applicationName": "PLCDriver", "automaticallyAcceptUnknownCertificate": false }
+ * (node opcua-pki.js init | list | trust <thumbprint>)
+ */
+
+/**
+ * @param {object} config config.json contents
+ * @returns {object[]} PLC connection settings with defaults applied
+ */
+function loadPlcConfigs(config) {
+	let list = [];
+	if (Array.isArray(config.plcs)) {
+		list = config.plcs;
+	} else if (config.plc) {
+		list = [{ name: 'default', ...config.plc }];
+	}
+
+	if (list.length === 0) {
+		throw new Error('No PLC configured: add a "plcs" list to config.json');
+	}
+
+	const names = new Set();
+	return list.map((plc, index) => {
+		const name = plc.name || `plc-${index + 1}`;
+		if (names.has(name)) {
+			throw new Error(`Duplicate PLC name "${name}" in config.json`);
+		}
+		names.add(name);
+
+		const protocol = plc.protocol || 'opcua'; // 'opcua' | 'ethernetip'
+		if (protocol !== 'opcua' && protocol !== 'ethernetip') {
+			throw new Error(`Unknown protocol "${protocol}" for PLC "${name}"`);
+		}
+
+		return {
+			...plc,
+			name: name,
+			protocol: protocol,
+			port: plc.port || 4840, // OPC UA default port
+			slot: plc.slot || 0, // EtherNet/IP backplane slot
+			scanRate: plc.scanRate || 500, // Polling interval in ms
+			listenMode: plc.listenMode || 'polling', // 'polling' | 'subscription'
+			subscription: plc.subscription || {},
+			opcuaBrowseFrom: plc.opcuaBrowseFrom || 'ns=0;i=85',
+			opcuaNamespacePrefix: plc.opcuaNamespacePrefix || null,
+			security: plc.security || {},
+			userIdentity: plc.userIdentity || null,
+			machineCodes: plc.machineCodes || []
+		};
+	});
+}
+
+/**
+ * OPCUADriver options for a PLC's security mode/policy, the shared PKI and the session user.
+ * @param {object} plc result of loadPlcConfigs (or a config.json PLC entry)
+ * @param {object} config config.json contents
+ * @returns {{ securityMode: string, securityPolicy: string, pki: object|undefined, userIdentity: object|undefined }}
+ */
+function opcuaSecurityOptions(plc, config) {
+	const security = plc.security || {};
+	const options = {
+		securityMode: security.mode || 'None',
+		securityPolicy: security.policy || 'None',
+		pki: config.pki || undefined,
+		userIdentity: undefined
+	};
+
+	const identity = plc.userIdentity;
+	if (identity) {
+		options.userIdentity = { ...identity };
+		// Keep passwords out of config.json
+		if (identity.passwordEnv) {
+			const password = process.env[identity.passwordEnv];
+			if (password === undefined) {
+				throw new Error(`Environment variable ${identity.passwordEnv} (OPC UA password of PLC "${plc.name}") is not set`);
+			}
+			options.userIdentity.password = password;
+		}
+	}
+	return options;
+}
+
+/**
+ * @param {object} tag tags-to-listen.json entry
+ * @param {object[]} plcs result of loadPlcConfigs
+ * @returns {string} name of the PLC the tag is read from
+ */
+function plcNameForTag(tag, plcs) {
+	if (tag.plc) {
+		return tag.plc;
+	}
+	const byMachine = plcs.find(plc => plc.machineCodes.includes(tag.machineCode));
+	return byMachine ? byMachine.name : plcs[0].name;
+}
+
+/**
+ * @param {object[]} tags tags-to-listen.json entries
+ * @param {object[]} plcs result of loadPlcConfigs
+ * @returns {Map<string, object[]>} tags by PLC name (may contain names missing from plcs)
+ */
+function groupTagsByPlc(tags, plcs) {
+	const groups = new Map();
+	for (const tag of tags) {
+		const name = plcNameForTag(tag, plcs);
+		if (!groups.has(name)) {
+			groups.set(name, []);
+		}
+		groups.get(name).push(tag);
+	}
+	return groups;
+}
+
+module.exports = { loadPlcConfigs, opcuaSecurityOptions, plcNameForTag, groupTagsByPlc }
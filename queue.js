@@ -0,0 +1,755 @@
+'use strict'
+
+/**
+ * Tag data queue (tag-queue.db), shared by listener.js (enqueue), register.js (delivery),
+ * dead-letter.js and verify-db.js. The same database keeps the audit log of PLC writes (WRITE_AUDIT).
+ *
+ * The schema is versioned with PRAGMA user_version and upgraded in place when the database
+ * is opened read-write. Run `node queue.js migrate [dbPath]` to upgrade without starting
+ * the listener or register.
+ *
+ * QUEUE columns:
+ *   tagCode, machineCode     tag identity
+ *   timestamp                when the value was read (ISO, host clock)
+ *   sourceTimestamp          PLC time of the value, when the protocol has one
+ *   value, valueType         'number' | 'string' | 'json' | 'null' (json = struct / array)
+ *   quality, statusCode      'good' | 'uncertain', and the OPC UA status name
+ *   status                   'pending' | 'retry' (failed, waiting for nextAttemptAt) | 'dead' (given up)
+ *   attempts, nextAttemptAt, lastError, createdAt
+ *   recordType               'tag' (a tag value) | 'machineState' (a state transition, see machine-state.js:
+ *                            tagCode is "<machineCode>#state" and value the new state) | 'warning' (rows dropped
+ *                            by the retention limits, see retention.js: tagCode "#retention", value the message)
+ *   details                  JSON with the record's other fields (e.g. durations of a state transition,
+ *                            delta of a counter)
+ *   priority                 0 | 1 (machine states, state and counter tags): kept longer when rows are evicted
+ *
+ * COUNTER_STATE keeps the last counted value of each counter tag (counters.js).
+ * TAG_STATE keeps the last registered value, quality and read time of each tag, so the listener
+ * does not register unchanged values again after a restart (value, valueType as in QUEUE, plus
+ * 'boolean'; timestamp and sourceTimestamp as in QUEUE).
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+const STATUS_PENDING = 'pending';
+const STATUS_RETRY = 'retry';
+const STATUS_DEAD = 'dead';
+
+const RECORD_TAG = 'tag';
+const RECORD_MACHINE_STATE = 'machineState';
+const RECORD_WARNING = 'warning';
+
+const PRIORITY_NORMAL = 0;
+const PRIORITY_STATE = 1;
+
+const migrations = [
+	{
+		version: 1,
+		description: 'Structured QUEUE table (was id + JSON job), dead letters as status "dead"',
+		up: migrateToStructuredQueue
+	},
+	{
+		version: 2,
+		description: 'WRITE_AUDIT table for PLC write commands (commands.js)',
+		up: db => exec(db, `
+			CREATE TABLE WRITE_AUDIT (
+				id INTEGER PRIMARY KEY ASC AUTOINCREMENT,
+				commandId TEXT,
+				tagCode TEXT,
+				machineCode TEXT,
+				plc TEXT,
+				value TEXT,
+				status TEXT NOT NULL,
+				readBack TEXT,
+				error TEXT,
+				source TEXT,
+				requestedAt TEXT NOT NULL,
+				completedAt TEXT
+			);
+			CREATE INDEX WRITE_AUDIT_COMMAND_ID ON WRITE_AUDIT (commandId);
+		`)
+	},
+	{
+		version: 3,
+		description: 'QUEUE recordType and details columns for machine state transitions (machine-state.js)',
+		up: db => exec(db, `
+			ALTER TABLE QUEUE ADD COLUMN recordType TEXT NOT NULL DEFAULT '${RECORD_TAG}';
+			ALTER TABLE QUEUE ADD COLUMN details TEXT;
+		`)
+	},
+	{
+		version: 4,
+		description: 'COUNTER_STATE table with the last counted value per counter tag (counters.js)',
+		up: db => exec(db, `
+			CREATE TABLE COUNTER_STATE (
+				tagCode TEXT PRIMARY KEY,
+				value REAL NOT NULL,
+				updatedAt TEXT NOT NULL
+			);
+		`)
+	},
+	{
+		version: 5,
+		description: 'TAG_STATE table with the last registered value per tag',
+		up: db => exec(db, `
+			CREATE TABLE TAG_STATE (
+				tagCode TEXT PRIMARY KEY,
+				value,
+				valueType TEXT NOT NULL,
+				quality TEXT NOT NULL,
+				statusCode TEXT,
+				timestamp TEXT NOT NULL,
+				sourceTimestamp TEXT,
+				updatedAt TEXT NOT NULL
+			);
+		`)
+	},
+	{
+		version: 6,
+		description: 'QUEUE priority column for the retention limits (retention.js)',
+		up: db => exec(db, `
+			ALTER TABLE QUEUE ADD COLUMN priority INTEGER NOT NULL DEFAULT ${PRIORITY_NORMAL};
+			UPDATE QUEUE SET priority = ${PRIORITY_STATE} WHERE recordType = '${RECORD_MACHINE_STATE}';
+			CREATE INDEX QUEUE_PRIORITY ON QUEUE (priority, id);
+		`)
+	}
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Open the queue database; read-write connections are migrated to the current schema.
+ * @param {string} dbPath
+ * @param {object} [options]
+ * @param {boolean} [options.readOnly=false] fail instead of migrating an outdated schema
+ * @returns {Promise<sqlite3.Database>}
+ */
+function openQueueDatabase(dbPath, options = {}) {
+	return new Promise(function (resolve, reject) {
+		const mode = options.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+		const db = new sqlite3.Database(dbPath, mode, async function (err) {
+			if (err) {
+				console.error(` -- Error opening database: ${err.message} -- `);
+				return reject(err);
+			}
+			console.log(` -- Connected to SQLite database: ${dbPath} -- `);
+
+			// listener and register open the same file
+			db.configure('busyTimeout', 5000);
+
+			try {
+				if (options.readOnly) {
+					const version = await getSchemaVersion(db);
+					if (version !== SCHEMA_VERSION) {
+						throw new Error(`Queue schema is version ${version}, expected ${SCHEMA_VERSION}: run "node queue.js migrate ${dbPath}"`);
+					}
+				} else {
+					await migrate(db);
+				}
+				resolve(db);
+			} catch (error) {
+				db.close();
+				reject(error);
+			}
+		});
+	});
+}
+
+/**
+ * Apply the pending migrations, each in its own transaction.
+ * @returns {Promise<number>} schema version
+ */
+async function migrate(db) {
+	for (const migration of migrations) {
+		await run(db, 'BEGIN IMMEDIATE');
+		try {
+			// Read inside the write lock: another process may have migrated meanwhile
+			const version = await getSchemaVersion(db);
+			if (version >= migration.version) {
+				await run(db, 'COMMIT');
+				continue;
+			}
+			console.log(` -- Migrating queue schema to version ${migration.version}: ${migration.description} -- `);
+			await migration.up(db);
+			await run(db, `PRAGMA user_version = ${migration.version}`);
+			await run(db, 'COMMIT');
+		} catch (error) {
+			await run(db, 'ROLLBACK').catch(() => {});
+			throw new Error(`Migration to version ${migration.version} failed: ${error.message}`);
+		}
+	}
+	return SCHEMA_VERSION;
+}
+
+async function getSchemaVersion(db) {
+	const row = await get(db, 'PRAGMA user_version');
+	return row.user_version;
+}
+
+async function migrateToStructuredQueue(db) {
+	const legacyQueue = await get(db, "SELECT name FROM sqlite_master WHERE type='table' AND name='QUEUE'");
+	const legacyDeadLetter = await get(db, "SELECT name FROM sqlite_master WHERE type='table' AND name='DEAD_LETTER'");
+	if (legacyQueue) {
+		await run(db, 'ALTER TABLE QUEUE RENAME TO QUEUE_V0');
+	}
+
+	await exec(db, `
+		CREATE TABLE QUEUE (
+			id INTEGER PRIMARY KEY ASC AUTOINCREMENT,
+			tagCode TEXT NOT NULL,
+			machineCode TEXT,
+			timestamp TEXT NOT NULL,
+			sourceTimestamp TEXT,
+			value,
+			valueType TEXT NOT NULL,
+			quality TEXT NOT NULL DEFAULT 'good',
+			statusCode TEXT,
+			status TEXT NOT NULL DEFAULT 'pending',
+			attempts INTEGER NOT NULL DEFAULT 0,
+			nextAttemptAt INTEGER NOT NULL DEFAULT 0,
+			lastError TEXT,
+			createdAt TEXT NOT NULL
+		);
+		CREATE INDEX QUEUE_STATUS_NEXT_ATTEMPT ON QUEUE (status, nextAttemptAt);
+		CREATE INDEX QUEUE_TAG_CODE ON QUEUE (tagCode, id);
+		CREATE INDEX QUEUE_MACHINE_CODE ON QUEUE (machineCode);
+	`);
+
+	let converted = 0;
+	if (legacyQueue) {
+		const columns = (await all(db, 'PRAGMA table_info(QUEUE_V0)')).map(column => column.name);
+		const hasRetryColumns = columns.includes('attempts');
+		const rows = await all(db, `SELECT * FROM QUEUE_V0 ORDER BY id ASC`);
+		for (const row of rows) {
+			const attempts = hasRetryColumns ? row.attempts : 0;
+			const status = attempts > 0 ? STATUS_RETRY : STATUS_PENDING;
+			await insertLegacyJob(db, row.id, row.job, {
+				status: status,
+				attempts: attempts,
+				nextAttemptAt: hasRetryColumns ? row.nextAttemptAt : 0,
+				lastError: hasRetryColumns ? row.lastError : null
+			});
+			converted++;
+		}
+		await run(db, 'DROP TABLE QUEUE_V0');
+	}
+	if (legacyDeadLetter) {
+		// New ids: dead letters never block or precede live jobs
+		const rows = await all(db, 'SELECT * FROM DEAD_LETTER ORDER BY id ASC');
+		for (const row of rows) {
+			await insertLegacyJob(db, null, row.job, {
+				status: STATUS_DEAD,
+				attempts: row.attempts || 0,
+				nextAttemptAt: 0,
+				lastError: row.lastError
+			});
+			converted++;
+		}
+		await run(db, 'DROP TABLE DEAD_LETTER');
+	}
+	if (converted > 0) {
+		console.log(` -- Converted ${converted} JSON job(s) to the structured queue -- `);
+	}
+}
+
+/**
+ * Convert one `job` JSON blob. Jobs that cannot be converted (not JSON, no tagCode, invalid date...) are
+ * kept as dead rows with the raw text and the reason in lastError, so one bad job does not stop the migration.
+ */
+function insertLegacyJob(db, id, job, state) {
+	let tagData;
+	try {
+		tagData = JSON.parse(job);
+	} catch (error) {
+		tagData = null;
+	}
+
+	const now = new Date().toISOString();
+	const insertInvalid = reason => insertRow(db, {
+		id: id,
+		tagCode: tagData && typeof tagData.tagCode === 'string' ? tagData.tagCode : '',
+		timestamp: now,
+		value: null,
+		valueType: 'null',
+		status: STATUS_DEAD,
+		attempts: state.attempts,
+		lastError: `Invalid job (${reason}): ${job}`,
+		createdAt: now
+	});
+	if (!tagData || typeof tagData !== 'object' || !tagData.tagCode) {
+		return insertInvalid(tagData && typeof tagData === 'object' ? 'no tagCode' : 'not a JSON object');
+	}
+
+	let row;
+	try {
+		const encoded = encodeValue(tagData.value);
+		const date = tagData.date ? legacyDate(tagData.date) : now;
+		row = {
+			id: id,
+			tagCode: String(tagData.tagCode),
+			machineCode: tagData.machineCode || null,
+			timestamp: date,
+			sourceTimestamp: tagData.sourceTimestamp || null,
+			value: encoded.value,
+			valueType: encoded.valueType,
+			quality: tagData.quality || 'good',
+			statusCode: tagData.statusCode || null,
+			status: state.status,
+			attempts: state.attempts,
+			nextAttemptAt: state.nextAttemptAt,
+			lastError: state.lastError,
+			createdAt: date
+		};
+	} catch (error) {
+		return insertInvalid(error.message);
+	}
+	return insertRow(db, row);
+}
+
+/** @returns {string} ISO date of a legacy job's `date`; throws when it does not parse */
+function legacyDate(value) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`invalid date ${JSON.stringify(value)}`);
+	}
+	return date.toISOString();
+}
+
+function insertRow(db, row) {
+	const sql = `INSERT INTO QUEUE (id, tagCode, machineCode, timestamp, sourceTimestamp, value, valueType, quality,
+		statusCode, status, attempts, nextAttemptAt, lastError, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+	return run(db, sql, [
+		row.id ?? null,
+		row.tagCode,
+		row.machineCode ?? null,
+		row.timestamp,
+		row.sourceTimestamp ?? null,
+		row.value,
+		row.valueType,
+		row.quality || 'good',
+		row.statusCode ?? null,
+		row.status || STATUS_PENDING,
+		row.attempts || 0,
+		row.nextAttemptAt || 0,
+		row.lastError ?? null,
+		row.createdAt
+	]);
+}
+
+/** @returns {{ value: any, valueType: string }} value as stored in the QUEUE.value column */
+function encodeValue(value) {
+	if (value === null || value === undefined) {
+		return { value: null, valueType: 'null' };
+	}
+	if (typeof value === 'number') {
+		return { value: value, valueType: 'number' };
+	}
+	if (typeof value === 'string') {
+		return { value: value, valueType: 'string' };
+	}
+	if (typeof value === 'boolean') {
+		return { value: value ? 1 : 0, valueType: 'number' };
+	}
+	return { value: JSON.stringify(value), valueType: 'json' };
+}
+
+function decodeValue(value, valueType) {
+	if (valueType === 'null') {
+		return null;
+	}
+	if (valueType === 'json') {
+		return JSON.parse(value);
+	}
+	if (valueType === 'boolean') {
+		return value === 1;
+	}
+	return value;
+}
+
+/**
+ * Queue one tag value (or another record type).
+ * @param {object} tagData `{ tagCode, machineCode, date, value, quality, statusCode, sourceTimestamp }`
+ * @param {string} [tagData.recordType='tag'] RECORD_TAG | RECORD_MACHINE_STATE | RECORD_WARNING
+ * @param {object} [tagData.details] other fields, delivered along with the record
+ * @param {number} [tagData.priority=0] PRIORITY_NORMAL | PRIORITY_STATE
+ * @returns {Promise<number>} row id
+ */
+function enqueue(db, tagData) {
+	const encoded = encodeValue(tagData.value);
+	const timestamp = (tagData.date ? new Date(tagData.date) : new Date()).toISOString();
+	return new Promise((resolve, reject) => {
+		const sql = `INSERT INTO QUEUE (tagCode, machineCode, timestamp, sourceTimestamp, value, valueType, quality,
+			statusCode, createdAt, recordType, details, priority) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+		const sourceTimestamp = tagData.sourceTimestamp ? new Date(tagData.sourceTimestamp).toISOString() : null;
+		db.run(sql, [
+			tagData.tagCode,
+			tagData.machineCode || null,
+			timestamp,
+			sourceTimestamp,
+			encoded.value,
+			encoded.valueType,
+			tagData.quality || 'good',
+			tagData.statusCode || null,
+			new Date().toISOString(),
+			tagData.recordType || RECORD_TAG,
+			tagData.details ? JSON.stringify(tagData.details) : null,
+			tagData.priority || PRIORITY_NORMAL
+		], function (err) {
+			if (err) {
+				return reject(err);
+			}
+			resolve(this.lastID);
+		});
+	});
+}
+
+// Pending writes per connection (serializeWrite)
+const writeChains = new WeakMap();
+
+/**
+ * Run a write after the previous ones on the same connection. A connection has a single transaction:
+ * a statement run while enqueueTagValue holds one would join it and be lost on its rollback, so every
+ * write of a process sharing its connection goes through here.
+ * @template T @param {function(): Promise<T>} write @returns {Promise<T>}
+ */
+function serializeWrite(db, write) {
+	const result = (writeChains.get(db) || Promise.resolve()).then(write);
+	writeChains.set(db, result.catch(() => {}));
+	return result;
+}
+
+/**
+ * Queue a tag value and keep it as the tag's last-known value (TAG_STATE), in one transaction.
+ * Counter values are also kept as the tag's last counted value (COUNTER_STATE), so a crash never
+ * counts the same pieces twice or loses them.
+ * @param {object} tagData see enqueue
+ * @param {any} rawValue value as read from the PLC (tagData.value has booleans as 0 / 1)
+ * @param {boolean} [isCounter] tagData.value is a counter value
+ * @returns {Promise<number>} row id
+ */
+function enqueueTagValue(db, tagData, rawValue, isCounter = false) {
+	return serializeWrite(db, async () => {
+		await run(db, 'BEGIN IMMEDIATE');
+		try {
+			const id = await enqueue(db, tagData);
+			const now = new Date().toISOString();
+			const encoded = encodeStateValue(rawValue);
+			await run(db, `INSERT INTO TAG_STATE (tagCode, value, valueType, quality, statusCode, timestamp, sourceTimestamp, updatedAt)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+				ON CONFLICT(tagCode) DO UPDATE SET value=excluded.value, valueType=excluded.valueType, quality=excluded.quality,
+					statusCode=excluded.statusCode, timestamp=excluded.timestamp, sourceTimestamp=excluded.sourceTimestamp,
+					updatedAt=excluded.updatedAt`, [
+				tagData.tagCode,
+				encoded.value,
+				encoded.valueType,
+				tagData.quality || 'good',
+				tagData.statusCode || null,
+				(tagData.date ? new Date(tagData.date) : new Date()).toISOString(),
+				tagData.sourceTimestamp ? new Date(tagData.sourceTimestamp).toISOString() : null,
+				now
+			]);
+			if (isCounter) {
+				await run(db, `INSERT INTO COUNTER_STATE (tagCode, value, updatedAt) VALUES (?, ?, ?)
+					ON CONFLICT(tagCode) DO UPDATE SET value=excluded.value, updatedAt=excluded.updatedAt`,
+				[tagData.tagCode, tagData.value, now]);
+			}
+			await run(db, 'COMMIT');
+			return id;
+		} catch (error) {
+			await run(db, 'ROLLBACK').catch(() => {});
+			throw error;
+		}
+	});
+}
+
+/** Like encodeValue, but booleans stay booleans once decoded (change detection compares raw values) */
+function encodeStateValue(value) {
+	return typeof value === 'boolean' ? { value: value ? 1 : 0, valueType: 'boolean' } : encodeValue(value);
+}
+
+/**
+ * @returns {Promise<Map<string, { value: any, quality: string, statusCode: string|null, date: string, sourceTimestamp: string|null }>>}
+ *   last registered value by tagCode (date = when it was read)
+ */
+async function loadTagStates(db) {
+	const rows = await all(db, 'SELECT * FROM TAG_STATE');
+	return new Map(rows.map(row => [row.tagCode, {
+		value: decodeValue(row.value, row.valueType),
+		quality: row.quality,
+		statusCode: row.statusCode,
+		date: row.timestamp,
+		sourceTimestamp: row.sourceTimestamp
+	}]));
+}
+
+/** @returns {Promise<Map<string, number>>} last counted value by tagCode */
+async function loadCounterValues(db) {
+	const rows = await all(db, 'SELECT tagCode, value FROM COUNTER_STATE');
+	return new Map(rows.map(row => [row.tagCode, row.value]));
+}
+
+/**
+ * Payload for SupervisoryAPI.tagChanged / tagChangedBulk, SupervisoryAPI.machineStateChanged
+ * for machine state transitions, or SupervisoryAPI.reportWarning for warnings.
+ */
+function toTagData(row) {
+	const details = row.details ? JSON.parse(row.details) : {};
+	if (row.recordType === RECORD_WARNING) {
+		return {
+			date: row.timestamp,
+			message: decodeValue(row.value, row.valueType),
+			...details
+		};
+	}
+	if (row.recordType === RECORD_MACHINE_STATE) {
+		return {
+			machineCode: row.machineCode,
+			date: row.timestamp,
+			state: decodeValue(row.value, row.valueType),
+			...details
+		};
+	}
+	return {
+		tagCode: row.tagCode,
+		date: row.timestamp,
+		value: decodeValue(row.value, row.valueType),
+		quality: row.quality,
+		statusCode: row.statusCode,
+		sourceTimestamp: row.sourceTimestamp,
+		...details
+	};
+}
+
+/**
+ * Jobs due for delivery, oldest first. Jobs queued after a job of the same tag that is waiting
+ * for a retry are held back, so each tag is delivered in order.
+ */
+function selectDueJobs(db, limit, now = Date.now()) {
+	const sql = `SELECT * FROM QUEUE q
+		WHERE status IN ('${STATUS_PENDING}', '${STATUS_RETRY}') AND nextAttemptAt <= $now
+		AND NOT EXISTS (
+			SELECT 1 FROM QUEUE waiting
+			WHERE waiting.tagCode = q.tagCode AND waiting.id < q.id
+				AND waiting.status = '${STATUS_RETRY}' AND waiting.nextAttemptAt > $now
+		)
+		ORDER BY id ASC LIMIT $limit`;
+	return all(db, sql, { $now: now, $limit: limit });
+}
+
+function deleteJobs(db, ids) {
+	const placeholders = ids.map(() => '?').join(',');
+	return run(db, `DELETE FROM QUEUE WHERE id IN (${placeholders})`, ids);
+}
+
+function scheduleRetry(db, id, attempts, nextAttemptAt, lastError) {
+	const sql = `UPDATE QUEUE SET status='${STATUS_RETRY}', attempts=?, nextAttemptAt=?, lastError=? WHERE id=?`;
+	return run(db, sql, [attempts, nextAttemptAt, lastError, id]);
+}
+
+/** Give up on a job: it stays in the queue as 'dead' for inspection and replay (dead-letter.js). */
+function markDead(db, id, attempts, lastError) {
+	const sql = `UPDATE QUEUE SET status='${STATUS_DEAD}', attempts=?, lastError=? WHERE id=?`;
+	return run(db, sql, [attempts, lastError, id]);
+}
+
+/** Put dead jobs back for delivery, attempts starting over. @param {number|'all'} id */
+function replayDead(db, id) {
+	const sql = `UPDATE QUEUE SET status='${STATUS_PENDING}', attempts=0, nextAttemptAt=0, lastError=NULL
+		WHERE status='${STATUS_DEAD}'` + (id === 'all' ? '' : ' AND id=?');
+	return runChanges(db, sql, id === 'all' ? [] : [id]);
+}
+
+/** @param {number|'all'} id */
+function deleteDead(db, id) {
+	const sql = `DELETE FROM QUEUE WHERE status='${STATUS_DEAD}'` + (id === 'all' ? '' : ' AND id=?');
+	return runChanges(db, sql, id === 'all' ? [] : [id]);
+}
+
+/** @param {string[]} statuses */
+async function countJobs(db, statuses) {
+	const placeholders = statuses.map(() => '?').join(',');
+	const row = await get(db, `SELECT COUNT(*) as count FROM QUEUE WHERE status IN (${placeholders})`, statuses);
+	return row.count;
+}
+
+/** @param {string[]} statuses */
+function listJobs(db, statuses, limit) {
+	const placeholders = statuses.map(() => '?').join(',');
+	return all(db, `SELECT * FROM QUEUE WHERE status IN (${placeholders}) ORDER BY id ASC LIMIT ?`, [...statuses, limit]);
+}
+
+// Warnings are never evicted: they report what was dropped. Dead jobs are kept for inspection
+// (dead-letter.js) and only capped by their own limit (evictDeadJobs).
+const EVICTABLE = `recordType != '${RECORD_WARNING}' AND status != '${STATUS_DEAD}'`;
+
+/**
+ * Rows waiting for delivery (pending and retry, warnings aside), dead jobs, and bytes of the database file
+ * in use (free pages excluded: deleted rows free their pages for new rows, the file only shrinks with vacuum).
+ * @returns {Promise<{ rows: number, deadRows: number, bytes: number, freeBytes: number }>}
+ */
+async function queueUsage(db) {
+	const rows = (await get(db, `SELECT COUNT(*) AS count FROM QUEUE WHERE ${EVICTABLE}`)).count;
+	const deadRows = (await get(db, `SELECT COUNT(*) AS count FROM QUEUE WHERE status = '${STATUS_DEAD}'`)).count;
+	const pageSize = (await get(db, 'PRAGMA page_size')).page_size;
+	const pageCount = (await get(db, 'PRAGMA page_count')).page_count;
+	const freePages = (await get(db, 'PRAGMA freelist_count')).freelist_count;
+	return { rows: rows, deadRows: deadRows, bytes: (pageCount - freePages) * pageSize, freeBytes: freePages * pageSize };
+}
+
+/**
+ * Delete the rows waiting for delivery read before `before`.
+ * @param {Date} before
+ * @returns {Promise<DroppedRows>}
+ */
+function dropJobsBefore(db, before) {
+	return dropJobs(db, `SELECT id FROM QUEUE WHERE ${EVICTABLE} AND timestamp < ?`, [before.toISOString()]);
+}
+
+/**
+ * Keep only the last pending value per tag and time window of the normal priority tag values
+ * (the values it supersedes are deleted).
+ * @param {number} windowMs
+ * @returns {Promise<DroppedRows>}
+ */
+function coalesceJobs(db, windowMs) {
+	const windowSeconds = Math.max(Math.round(windowMs / 1000), 1);
+	return dropJobs(db, `SELECT id FROM (
+		SELECT id, ROW_NUMBER() OVER (
+			PARTITION BY tagCode, CAST(strftime('%s', timestamp) AS INTEGER) / ? ORDER BY id DESC
+		) AS rank
+		FROM QUEUE
+		WHERE recordType = '${RECORD_TAG}' AND priority = ${PRIORITY_NORMAL} AND status IN ('${STATUS_PENDING}', '${STATUS_RETRY}')
+	) WHERE rank > 1`, [windowSeconds]);
+}
+
+/**
+ * Delete `count` rows waiting for delivery: normal priority first, then state rows, oldest first.
+ * @returns {Promise<DroppedRows>}
+ */
+function evictJobs(db, count) {
+	return dropJobs(db, `SELECT id FROM QUEUE WHERE ${EVICTABLE}
+		ORDER BY priority ASC, id ASC LIMIT ?`, [count]);
+}
+
+/**
+ * Delete the oldest dead jobs beyond the newest `keep`.
+ * @returns {Promise<DroppedRows>}
+ */
+function evictDeadJobs(db, keep) {
+	return dropJobs(db, `SELECT id FROM QUEUE WHERE status = '${STATUS_DEAD}'
+		ORDER BY id DESC LIMIT -1 OFFSET ?`, [keep]);
+}
+
+/**
+ * @typedef {{ count: number, stateRows: number, oldest: string|null, newest: string|null }} DroppedRows
+ *   stateRows = rows of priority PRIORITY_STATE; oldest / newest = read time of the dropped values
+ */
+async function dropJobs(db, selectIds, params) {
+	await run(db, 'BEGIN IMMEDIATE');
+	try {
+		const dropped = await get(db, `SELECT COUNT(*) AS count, COALESCE(SUM(priority > ${PRIORITY_NORMAL}), 0) AS stateRows,
+			MIN(timestamp) AS oldest, MAX(timestamp) AS newest
+			FROM QUEUE WHERE id IN (${selectIds})`, params);
+		if (dropped.count > 0) {
+			await run(db, `DELETE FROM QUEUE WHERE id IN (${selectIds})`, params);
+		}
+		await run(db, 'COMMIT');
+		return dropped;
+	} catch (error) {
+		await run(db, 'ROLLBACK').catch(() => {});
+		throw error;
+	}
+}
+
+/** Rebuild the database file to give the free pages back to the disk (locks the database meanwhile). */
+function vacuum(db) {
+	return run(db, 'VACUUM');
+}
+
+function run(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, err => (err ? reject(err) : resolve()));
+	});
+}
+
+function runChanges(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, function (err) {
+			if (err) {
+				return reject(err);
+			}
+			resolve(this.changes);
+		});
+	});
+}
+
+function exec(db, sql) {
+	return new Promise((resolve, reject) => {
+		db.exec(sql, err => (err ? reject(err) : resolve()));
+	});
+}
+
+function get(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+	});
+}
+
+function all(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+	});
+}
+
+module.exports = {
+	SCHEMA_VERSION,
+	STATUS_PENDING,
+	STATUS_RETRY,
+	STATUS_DEAD,
+	RECORD_TAG,
+	RECORD_MACHINE_STATE,
+	RECORD_WARNING,
+	PRIORITY_NORMAL,
+	PRIORITY_STATE,
+	openQueueDatabase,
+	migrate,
+	encodeValue,
+	decodeValue,
+	enqueue,
+	enqueueTagValue,
+	serializeWrite,
+	loadTagStates,
+	loadCounterValues,
+	toTagData,
+	selectDueJobs,
+	deleteJobs,
+	scheduleRetry,
+	markDead,
+	replayDead,
+	deleteDead,
+	countJobs,
+	listJobs,
+	queueUsage,
+	dropJobsBefore,
+	coalesceJobs,
+	evictJobs,
+	evictDeadJobs,
+	vacuum
+}
+
+// Migration runner: node queue.js migrate [dbPath]
+if (require.main === module) {
+	const command = process.argv[2];
+	if (command !== 'migrate') {
+		console.log('Usage: node queue.js migrate [dbPath]');
+		process.exit(1);
+	}
+	const dbPath = process.argv[3] || require('./config.json').database.connectionString;
+	openQueueDatabase(dbPath).then(db => {
+		console.log(` -- Queue schema is at version ${SCHEMA_VERSION} -- `);
+		db.close();
+	}, err => {
+		console.log(` -- Error: ${err.message} -- `);
+		process.exit(1);
+	});
+}
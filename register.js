@@ -1,28 +1,53 @@
 'use strict'
 
-const { SupervisoryAPI } = require('./SupervisoryAPI');
-
-const sqlite3 = require('sqlite3').verbose();
+const { SupervisoryAPI, isRetryableError } = require('./SupervisoryAPI');
+const queue = require('./queue');
+const monitoring = require('./monitoring');
+const { retentionSettings, enforceRetention } = require('./retention');
 
 // Load configuration
 const config = require('./config.json');
 const dbPath = config.database.connectionString;
 const processInterval = config.register?.processInterval || 10000; // Default 10 seconds
 const batchSize = config.register?.batchSize || 300; // Default 300 jobs per batch
+const bulk = {
+	enabled: true, // Post jobs to tag-data/bulk; falls back to single posts when the route is missing
+	chunkSize: 50, // Jobs per request
+	concurrency: 4, // Requests in flight
+	...config.register?.bulk
+};
+const retryPolicy = {
+	initialDelay: 10000, // Delay after the first failed attempt
+	maxDelay: 600000,
+	multiplier: 2,
+	maxAttempts: -1, // Retryable failures are marked dead after this many attempts (-1 = never)
+	...config.register?.retry
+};
+
+const retention = retentionSettings(config);
 
 let db = null;
 let processIntervalId = null;
+let bulkUnavailable = false;
+let lastRetentionAt = 0;
+let lastVacuumAt = Date.now();
+const apiStatus = {
+	lastSuccessAt: null,
+	lastFailureAt: null,
+	lastError: null
+};
 
 main();
 
 async function main() {
 	try {
 		// Initialize database
-		db = await initializeDatabase(dbPath);
+		db = await queue.openQueueDatabase(dbPath);
 
 		// Start processing loop
 		console.log(` -- Starting queue processing (interval: ${processInterval}ms, batch size: ${batchSize}) -- `);
 		startProcessing();
+		startMonitoring();
 
 		// Handle graceful shutdown
 		process.on('SIGINT', async () => {
@@ -53,97 +78,313 @@ async function main() {
 }
 
 function startProcessing() {
+	let processing = false;
 	processIntervalId = setInterval(async () => {
+		if (processing) {
+			// The previous run is still delivering: starting another would send its rows again, out of order
+			return;
+		}
+		processing = true;
 		try {
 			await processQueue();
 		} catch (error) {
 			console.log(` -- Error processing queue: ${error.message} -- `);
+		} finally {
+			processing = false;
 		}
 	}, processInterval);
 }
 
 async function processQueue() {
-	return new Promise((resolve, reject) => {
-		const sql = `SELECT id, job FROM QUEUE LIMIT ${batchSize};`;
+	await applyRetention();
+
+	let rows;
+	try {
+		rows = await queue.selectDueJobs(db, batchSize);
+	} catch (err) {
+		console.log(` -- Error querying queue: ${err.message} -- `);
+		throw err;
+	}
 
-		db.all(sql, async (err, rows) => {
-			if (err) {
-				console.log(` -- Error querying queue: ${err.message} -- `);
-				return reject(err);
+	if (rows.length === 0) {
+		// No jobs due
+		return;
+	}
+
+	console.log(` -- Processing ${rows.length} job(s) from queue -- `);
+	await deliverJobs(rows, db);
+}
+
+/** Queue limits and vacuum (retention.js), every retention.interval ms; errors do not stop the delivery. */
+async function applyRetention() {
+	const now = Date.now();
+	if (now - lastRetentionAt < retention.interval) {
+		return;
+	}
+	lastRetentionAt = now;
+	try {
+		const warning = await enforceRetention(db, retention);
+		if (warning) {
+			console.log(` -- WARNING - ${warning.value} -- `);
+			for (const [reason, rows] of Object.entries(warning.details.reasons)) {
+				monitoring.incCounter('jobs_dropped_total', { reason: reason }, rows.count);
+			}
+		}
+		if (retention.vacuumInterval > 0 && now - lastVacuumAt >= retention.vacuumInterval) {
+			lastVacuumAt = now;
+			const { freeBytes } = await queue.queueUsage(db);
+			if (freeBytes > 0) {
+				await queue.vacuum(db);
+				console.log(` -- Vacuumed the queue database (${freeBytes} byte(s) freed) -- `);
 			}
+		}
+	} catch (error) {
+		console.log(` -- Error applying the queue retention: ${error.message} -- `);
+	}
+}
 
-			if (rows.length === 0) {
-				// No jobs to process
-				return resolve();
+/**
+ * Deliver jobs in order per tagCode, in parallel across tags: every round sends the oldest
+ * pending job of each tag, and a tag whose job failed is left out of the next rounds (its
+ * later jobs stay queued behind it until it succeeds or is marked dead).
+ */
+async function deliverJobs(rows, db) {
+	const lanes = new Map(); // tagCode -> jobs, oldest first
+	for (const row of rows) {
+		let tagData;
+		try {
+			tagData = queue.toTagData(row);
+		} catch (error) {
+			console.log(` -- ERROR - Invalid job (id: ${row.id}): ${error.message} -- `);
+			// Keep invalid jobs for inspection instead of dropping them
+			await queue.markDead(db, row.id, row.attempts + 1, `Invalid job: ${error.message}`);
+			continue;
+		}
+		// Machine state and warning records have their own lanes ("<machineCode>#state", "#retention")
+		if (!lanes.has(row.tagCode)) {
+			lanes.set(row.tagCode, []);
+		}
+		lanes.get(row.tagCode).push({ row: row, tagData: tagData, delivered: false });
+	}
+
+	while (lanes.size > 0) {
+		const round = [];
+		for (const [tagCode, jobs] of lanes) {
+			round.push(jobs.shift());
+			if (jobs.length === 0) {
+				lanes.delete(tagCode);
+			}
+		}
+
+		await deliverRound(round, db);
+
+		for (const job of round) {
+			if (!job.delivered && lanes.has(job.row.tagCode)) {
+				console.log(` -- Holding ${lanes.get(job.row.tagCode).length} later job(s) of ${job.row.tagCode} -- `);
+				lanes.delete(job.row.tagCode);
 			}
+		}
+	}
+}
+
+/**
+ * Send jobs to the API in chunks of bulk.chunkSize, at most bulk.concurrency requests at a time.
+ * Each row is settled on its own: only acknowledged rows are deleted (and marked `delivered`).
+ */
+async function deliverRound(jobs, db) {
+	// Machine state transitions and warnings have no bulk route
+	const others = jobs.filter(job => job.row.recordType !== queue.RECORD_TAG);
+	jobs = jobs.filter(job => job.row.recordType === queue.RECORD_TAG);
+	await runWithConcurrency(others, bulk.concurrency, job => deliverJob(job, db));
 
-			console.log(` -- Processing ${rows.length} job(s) from queue -- `);
-
-			// Process all jobs in parallel
-			const promises = rows.map(row => processJob(row, db));
-			
-			try {
-				await Promise.allSettled(promises);
-				resolve();
-			} catch (error) {
-				console.log(` -- Error processing jobs: ${error.message} -- `);
-				reject(error);
+	if (bulk.enabled && !bulkUnavailable) {
+		const chunks = [];
+		for (let i = 0; i < jobs.length; i += bulk.chunkSize) {
+			chunks.push(jobs.slice(i, i + bulk.chunkSize));
+		}
+		const leftovers = [];
+		await runWithConcurrency(chunks, bulk.concurrency, async chunk => {
+			if (!(await deliverChunk(chunk, db))) {
+				leftovers.push(...chunk);
 			}
 		});
-	});
+		if (leftovers.length === 0) {
+			return;
+		}
+		jobs = leftovers;
+	}
+
+	await runWithConcurrency(jobs, bulk.concurrency, job => deliverJob(job, db));
 }
 
-async function processJob(row, db) {
+/**
+ * @returns {Promise<boolean>} false when the bulk route is not available (chunk must be sent job by job)
+ */
+async function deliverChunk(chunk, db) {
+	let response;
 	try {
-		const tagData = JSON.parse(row.job);
-		const strTagData = `${tagData.tagCode}:${tagData.value}(${tagData.date})`;
+		response = await callApi('tag-data/bulk', () => SupervisoryAPI.tagChangedBulk(chunk.map(job => job.tagData)));
+	} catch (error) {
+		const status = error.status;
+		if (status === 404 || status === 405 || status === 501) {
+			if (!bulkUnavailable) {
+				console.log(` -- Bulk route not available (HTTP ${status}), posting jobs one by one -- `);
+			}
+			bulkUnavailable = true;
+			return false;
+		}
+		// The whole request failed: every job of the chunk shares the error
+		await Promise.allSettled(chunk.map(job => settleFailedJob(job, error, db)));
+		return true;
+	}
 
-		try {
-			const response = await SupervisoryAPI.tagChanged(tagData);
-			console.log(` -- OK - Registered value of ${strTagData} - Status: ${response.status} -- `);
-			await removeJobFromQueue(db, row.id);
-		} catch (error) {
-			console.log(` -- ERROR - Failed to register value of ${strTagData} - Reason: ${error.message} -- `);
-			// Don't remove from queue on error, so it can be retried
+	const results = Array.isArray(response.data) ? response.data : null;
+	const acknowledged = [];
+	const settling = [];
+	chunk.forEach((job, index) => {
+		const result = results ? results[index] : null;
+		const status = result && result.status ? result.status : response.status;
+		if (results && !result) {
+			// Not acknowledged: keep it and send it again
+			settling.push(settleFailedJob(job, new Error('No acknowledgement in bulk response'), db));
+		} else if (status >= 200 && status < 300) {
+			acknowledged.push(job);
+		} else {
+			const error = new Error(`Item rejected with status ${status}${result && result.error ? `: ${result.error}` : ''}`);
+			error.status = status;
+			settling.push(settleFailedJob(job, error, db));
 		}
+	});
+
+	if (acknowledged.length > 0) {
+		console.log(` -- OK - Registered ${acknowledged.length} of ${chunk.length} job(s) in bulk - Status: ${response.status} -- `);
+		monitoring.incCounter('jobs_delivered_total', {}, acknowledged.length);
+		settling.push(queue.deleteJobs(db, acknowledged.map(job => job.row.id)).then(() => {
+			acknowledged.forEach(job => {
+				job.delivered = true;
+			});
+		}));
+	}
+	await Promise.allSettled(settling);
+	return true;
+}
+
+async function deliverJob(job, db) {
+	const strTagData = describeJob(job);
+	try {
+		let response;
+		if (job.row.recordType === queue.RECORD_MACHINE_STATE) {
+			response = await callApi('machine-state', () => SupervisoryAPI.machineStateChanged(job.tagData));
+		} else if (job.row.recordType === queue.RECORD_WARNING) {
+			response = await callApi('driver-warning', () => SupervisoryAPI.reportWarning(job.tagData));
+		} else {
+			response = await callApi('tag-data', () => SupervisoryAPI.tagChanged(job.tagData));
+		}
+		console.log(` -- OK - Registered value of ${strTagData} - Status: ${response.status} -- `);
+		monitoring.incCounter('jobs_delivered_total');
+		await queue.deleteJobs(db, [job.row.id]);
+		job.delivered = true;
 	} catch (error) {
-		console.log(` -- ERROR - Failed to parse job (id: ${row.id}): ${error.message} -- `);
-		// Remove invalid job from queue
-		await removeJobFromQueue(db, row.id);
+		await settleFailedJob(job, error, db);
 	}
 }
 
-function removeJobFromQueue(db, id) {
-	return new Promise((resolve, reject) => {
-		db.run('DELETE FROM QUEUE WHERE id=?', [id], function (err) {
-			if (err) {
-				console.error(` -- Error deleting job ${id}: ${err.message} -- `);
-				return reject(err);
-			}
-			resolve();
-		});
+/** Call the supervisory API, recording latency, failures and the last success for /health. */
+async function callApi(route, call) {
+	const startedAt = Date.now();
+	try {
+		const response = await call();
+		apiStatus.lastSuccessAt = new Date();
+		return response;
+	} catch (error) {
+		const status = error.status || 'network';
+		monitoring.incCounter('api_failures_total', { route: route, status: status });
+		apiStatus.lastFailureAt = new Date();
+		apiStatus.lastError = error.message;
+		throw error;
+	} finally {
+		monitoring.observe('api_request_duration_seconds', { route: route }, (Date.now() - startedAt) / 1000);
+	}
+}
+
+/** /health and /metrics (config.monitoring.register) */
+function startMonitoring() {
+	monitoring.defineMetric('api_request_duration_seconds', 'histogram', 'Supervisory API request latency');
+	monitoring.defineMetric('api_failures_total', 'counter', 'Failed supervisory API requests by HTTP status');
+	monitoring.defineMetric('jobs_delivered_total', 'counter', 'Jobs acknowledged by the supervisory API');
+	monitoring.defineMetric('jobs_retried_total', 'counter', 'Failed deliveries scheduled for a retry');
+	monitoring.defineMetric('jobs_dead_total', 'counter', 'Jobs given up on (see dead-letter.js)');
+	monitoring.defineMetric('jobs_dropped_total', 'counter', 'Rows dropped by the queue retention limits by reason');
+	monitoring.defineMetric('queue_depth', 'gauge', 'Jobs in the local queue by status');
+
+	monitoring.onCollect(async () => {
+		for (const status of [queue.STATUS_PENDING, queue.STATUS_RETRY, queue.STATUS_DEAD]) {
+			monitoring.setGauge('queue_depth', { status: status }, await queue.countJobs(db, [status]));
+		}
+	});
+
+	monitoring.startMonitoringServer(config.monitoring?.register, () => {
+		// Unhealthy while the last request failed and nothing got through since
+		const failing = apiStatus.lastFailureAt !== null &&
+			(apiStatus.lastSuccessAt === null || apiStatus.lastSuccessAt < apiStatus.lastFailureAt);
+		return {
+			healthy: !failing,
+			lastSuccessfulPostAt: apiStatus.lastSuccessAt,
+			lastFailedPostAt: apiStatus.lastFailureAt,
+			lastError: apiStatus.lastError,
+			bulkAvailable: bulk.enabled && !bulkUnavailable
+		};
 	});
 }
 
-function initializeDatabase(dbPath) {
-	return new Promise(function (resolve, reject) {
-		const dbConnection = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, function (err) {
-			if (err) {
-				console.error(` -- Error opening database: ${err.message} -- `);
-				return reject(err);
-			} else {
-				console.log(' -- Connected to SQLite database -- ');
-			}
-		});
+/** Retry later, or mark the job dead when the failure is permanent or attempts ran out. */
+async function settleFailedJob(job, error, db) {
+	const row = job.row;
+	const attempts = row.attempts + 1;
+	const strTagData = describeJob(job);
+	const reason = error.message;
 
-		const query = 'CREATE TABLE IF NOT EXISTS QUEUE (id INTEGER PRIMARY KEY ASC AUTOINCREMENT, job TEXT);';
-		dbConnection.exec(query, function (err) {
-			if (err !== null) {
-				console.error(` -- Error creating table: ${err.message} -- `);
-				return reject(err);
+	if (!isRetryableError(error)) {
+		console.log(` -- ERROR - Rejected value of ${strTagData} - Reason: ${reason} - marked dead -- `);
+		monitoring.incCounter('jobs_dead_total');
+		await queue.markDead(db, row.id, attempts, reason);
+	} else if (retryPolicy.maxAttempts >= 0 && attempts >= retryPolicy.maxAttempts) {
+		console.log(` -- ERROR - Failed to register value of ${strTagData} after ${attempts} attempt(s) - Reason: ${reason} - marked dead -- `);
+		monitoring.incCounter('jobs_dead_total');
+		await queue.markDead(db, row.id, attempts, reason);
+	} else {
+		const delay = retryDelay(attempts);
+		console.log(` -- ERROR - Failed to register value of ${strTagData} (attempt ${attempts}) - Reason: ${reason} - retrying in ${delay}ms -- `);
+		monitoring.incCounter('jobs_retried_total');
+		await queue.scheduleRetry(db, row.id, attempts, Date.now() + delay, reason);
+	}
+}
+
+function describeJob(job) {
+	return `${job.row.tagCode}:${job.row.value}(${job.row.timestamp})`;
+}
+
+/** Run worker(item) for every item, with at most `concurrency` running at a time. Errors are logged. */
+async function runWithConcurrency(items, concurrency, worker) {
+	let next = 0;
+	const runners = [];
+	for (let i = 0; i < Math.min(Math.max(concurrency, 1), items.length); i++) {
+		runners.push((async () => {
+			while (next < items.length) {
+				const item = items[next++];
+				try {
+					await worker(item);
+				} catch (error) {
+					console.log(` -- Error delivering jobs: ${error.message} -- `);
+				}
 			}
+		})());
+	}
+	await Promise.all(runners);
+}
 
-			resolve(dbConnection);
-		});
-	});
+/** @param {number} attempts failed attempts so far (>= 1) */
+function retryDelay(attempts) {
+	const delay = retryPolicy.initialDelay * Math.pow(retryPolicy.multiplier, attempts - 1);
+	return Math.min(delay, retryPolicy.maxDelay);
 }
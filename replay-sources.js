@@ -0,0 +1,191 @@
+'use strict'
+
+/**
+ * Where replay.js reads tag values from. Each source is `async function (options) -> tagData[]`
+ * (`{ tagCode, machineCode, date, value, quality, statusCode, sourceTimestamp, ...details }`); replay.js
+ * filters, sorts and sends them. Add a source to SOURCES to make it available as --source <name>.
+ *
+ *   api        another supervisory API (--url, or config.json "replay.remoteUrl"):
+ *              GET tag-data/<tagCode>/<from>/<to> for each selected tag (--tag, or the tags of --machine
+ *              in tags-to-listen.json); needs --from and --to
+ *   historian  the local historian (historian.js)
+ *   file       a .json file (array of tag values, e.g. history.js export --format json) or a .csv file
+ *              with a header line (history.js export columns; date, tagCode and value are required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSupervisoryAPI } = require('./SupervisoryAPI');
+const historian = require('./historian');
+const { loadTagList, tagListSettings } = require('./tag-list');
+
+/**
+ * @param {string[]|null} patterns tag codes, "PREFIX*" for every code starting with PREFIX
+ * @returns {function(string): boolean}
+ */
+function tagCodeMatcher(patterns) {
+	if (!patterns || patterns.length === 0) {
+		return () => true;
+	}
+	return tagCode => patterns.some(pattern => pattern.endsWith('*')
+		? tagCode.startsWith(pattern.slice(0, -1))
+		: tagCode === pattern);
+}
+
+async function readFromApi(options) {
+	const url = options.url || (options.config.replay && options.config.replay.remoteUrl);
+	if (!url) {
+		throw new Error('The api source needs --url (or config.json "replay.remoteUrl")');
+	}
+	if (!options.from || !options.to) {
+		throw new Error('The api source needs --from and --to');
+	}
+
+	// Without wildcards the tags are known; otherwise they are looked up in the tag list
+	let tagCodes = options.tags && !options.tags.some(pattern => pattern.endsWith('*')) ? options.tags : null;
+	if (!tagCodes) {
+		const matches = tagCodeMatcher(options.tags);
+		tagCodes = loadTagList(tagListSettings(options.config).file)
+			.filter(tag => matches(tag.tagCode) && (!options.machine || tag.machineCode === options.machine))
+			.map(tag => tag.tagCode);
+		if (tagCodes.length === 0) {
+			throw new Error('No tag of tags-to-listen.json matches --tag / --machine');
+		}
+	}
+
+	// Same authentication and retries as the target API
+	const remoteAPI = createSupervisoryAPI({ ...options.config.api, timeout: 60000, url: url });
+	const tagDataList = [];
+	for (const tagCode of tagCodes) {
+		let response;
+		try {
+			response = await remoteAPI.listTagData(tagCode, options.from, options.to);
+		} catch (error) {
+			throw new Error(`Cannot list the values of ${tagCode}: ${error.message}`);
+		}
+		if (!Array.isArray(response.data)) {
+			throw new Error(`Unexpected answer listing the values of ${tagCode}: expected a list`);
+		}
+		console.log(` -- ${response.data.length} value(s) of ${tagCode} from ${url} -- `);
+		tagDataList.push(...response.data.map(tagData => ({ tagCode: tagCode, ...tagData })));
+	}
+	return tagDataList;
+}
+
+async function readFromHistorian(options) {
+	const file = options.file ? path.resolve(options.file) : historian.historianSettings(options.config).file;
+	if (!fs.existsSync(file)) {
+		throw new Error(`No historian at ${file}`);
+	}
+	const db = await historian.openHistorian(file, { readOnly: true });
+	try {
+		const samples = await historian.querySamples(db, {
+			machineCode: options.machine,
+			from: options.from,
+			to: options.to
+		});
+		return samples.map(fromSample);
+	} finally {
+		db.close();
+	}
+}
+
+async function readFromFile(options) {
+	if (!options.file) {
+		throw new Error('The file source needs --file <values.json|values.csv>');
+	}
+	const text = fs.readFileSync(options.file, 'utf8');
+	if (path.extname(options.file).toLowerCase() === '.csv') {
+		return parseCsv(text, options.file).map(fromSample);
+	}
+	const list = JSON.parse(text);
+	if (!Array.isArray(list)) {
+		throw new Error(`${options.file}: expected a list of tag values`);
+	}
+	return list.map(fromSample);
+}
+
+/** Historian / export samples carry their extra fields in `details`; the API gets them flat (see queue.toTagData) */
+function fromSample(sample) {
+	const { details, ...tagData } = sample;
+	return details && typeof details === 'object' ? { ...tagData, ...details } : tagData;
+}
+
+/** CSV as written by history.js export: a header line, RFC 4180 quoting, JSON in value / details */
+function parseCsv(text, file) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+	for (let index = 0; index < text.length; index++) {
+		const char = text[index];
+		if (quoted) {
+			if (char === '"' && text[index + 1] === '"') {
+				field += '"';
+				index++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[index + 1] === '\n') {
+				index++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	const [header, ...lines] = rows.filter(line => line.length > 1 || line[0] !== '');
+	const missing = ['date', 'tagCode', 'value'].filter(column => !header || !header.includes(column));
+	if (missing.length > 0) {
+		throw new Error(`${file}: missing column(s) ${missing.join(', ')}`);
+	}
+	return lines.map(line => {
+		const sample = {};
+		header.forEach((column, index) => {
+			const value = line[index];
+			sample[column] = value === undefined || value === '' ? null : value;
+		});
+		sample.value = parseCsvValue(sample.value);
+		sample.details = sample.details ? JSON.parse(sample.details) : null;
+		return sample;
+	});
+}
+
+function parseCsvValue(text) {
+	if (text === null) {
+		return null;
+	}
+	if (/^[[{]/.test(text)) {
+		try {
+			return JSON.parse(text);
+		} catch (error) {
+			return text;
+		}
+	}
+	const number = Number(text);
+	return isNaN(number) || text.trim() === '' ? text : number;
+}
+
+const SOURCES = {
+	api: readFromApi,
+	historian: readFromHistorian,
+	file: readFromFile
+};
+
+module.exports = { SOURCES, tagCodeMatcher, parseCsv }
@@ -0,0 +1,290 @@
+'use strict'
+
+/**
+ * Send past tag values to the supervisory API again (backfill after an outage, a new API instance...).
+ *
+ *   node replay.js --source api|historian|file [--file <path>] [--url <api url>] [--machine <code>]
+ *                  [--tag <code>[,<code>...]] [--from <date>] [--to <date>] [--chunk-size <n>] [--rate <n>]
+ *                  [--retries <n>] [--state <file>] [--restart] [--dry-run]
+ *
+ *   --source      where the values come from (see replay-sources.js)
+ *   --tag         tag codes, "PREFIX*" for every tag starting with PREFIX
+ *   --from, --to  date range, `to` excluded (anything `new Date()` parses)
+ *   --chunk-size  values sent between two progress saves (default 50); in a chunk the tags are sent in
+ *                 parallel, the values of a tag one after the other
+ *   --rate        at most n values per second (default 0 = no limit)
+ *   --retries     attempts per value on network errors, 5xx, 408 and 429 (default 3); a value still failing
+ *                 stops the replay. Other 4xx are counted as rejected and skipped.
+ *   --state       progress file (default replay-progress.json)
+ *   --restart     ignore the progress of a previous run with the same options
+ *   --dry-run     only report what would be sent
+ *
+ * Values are sent oldest first through SupervisoryAPI.tagChanged. The progress is saved after every chunk:
+ * running the same command again after an interruption (Ctrl+C, API down) resumes after the last value sent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SupervisoryAPI, isRetryableError } = require('./SupervisoryAPI');
+const { SOURCES, tagCodeMatcher } = require('./replay-sources');
+
+// Load configuration
+const config = require('./config.json');
+
+const USAGE = 'Usage: node replay.js --source api|historian|file [--file <path>] [--url <api url>] [--machine <code>] ' +
+	'[--tag <code>[,<code>...]] [--from <date>] [--to <date>] [--chunk-size <n>] [--rate <n>] [--retries <n>] ' +
+	'[--state <file>] [--restart] [--dry-run]';
+
+let stopping = false;
+
+if (require.main === module) {
+	main();
+}
+
+async function main() {
+	try {
+		const options = parseArguments(process.argv.slice(2));
+		const tagDataList = selectTagData(await SOURCES[options.source]({ ...options, config: config }), options);
+
+		const key = progressKey(options);
+		let progress = loadProgress(options.state);
+		if (options.restart || !progress || progress.key !== key) {
+			progress = { key: key, total: tagDataList.length, sent: 0, rejected: 0, last: null, startedAt: new Date(), completedAt: null };
+		} else if (progress.completedAt) {
+			console.log(` -- This replay completed on ${progress.completedAt} (${progress.sent} value(s) sent); --restart to send it again -- `);
+			return;
+		}
+		const start = resumeIndex(tagDataList, progress.last);
+		if (progress.last) {
+			console.log(` -- Resuming after ${progress.last.tagCode} at ${progress.last.date} (${progress.sent} value(s) sent before) -- `);
+		}
+
+		const pending = tagDataList.slice(start);
+		printSummary(pending, options);
+		if (options.dryRun || pending.length === 0) {
+			return;
+		}
+
+		process.on('SIGINT', () => {
+			console.log('\n -- Stopping after the current chunk -- ');
+			stopping = true;
+		});
+
+		progress.total = progress.sent + progress.rejected + pending.length;
+		saveProgress(options.state, progress);
+		const startedAt = Date.now();
+		let sentThisRun = 0;
+		for (let index = 0; index < pending.length && !stopping; index += options.chunkSize) {
+			const chunk = pending.slice(index, index + options.chunkSize);
+			if (options.rate > 0) {
+				await delay(startedAt + sentThisRun / options.rate * 1000 - Date.now());
+			}
+
+			// A failure stops here: the values of the chunk acknowledged before it are sent again on resume
+			const result = await sendChunk(chunk, options);
+			sentThisRun += chunk.length;
+			progress.sent += result.sent;
+			progress.rejected += result.rejected;
+			progress.last = { tagCode: chunk[chunk.length - 1].tagCode, date: chunk[chunk.length - 1].date };
+			saveProgress(options.state, progress);
+
+			const done = progress.sent + progress.rejected;
+			console.log(` -- ${done}/${progress.total} value(s) replayed (${Math.floor(done * 100 / progress.total)}%), ` +
+				`${progress.rejected} rejected, up to ${progress.last.date} -- `);
+		}
+
+		if (stopping) {
+			console.log(` -- Interrupted: run the same command again to resume -- `);
+			return;
+		}
+		progress.completedAt = new Date();
+		saveProgress(options.state, progress);
+		console.log(` -- Replay completed: ${progress.sent} value(s) sent, ${progress.rejected} rejected -- `);
+	} catch (err) {
+		console.log(` -- Error: ${err.message} -- `);
+		process.exit(1);
+	}
+}
+
+function parseArguments(args) {
+	const options = {
+		source: null, file: null, url: null, machine: null, tags: null, from: null, to: null,
+		chunkSize: 50, rate: 0, retries: 3, state: path.resolve(__dirname, 'replay-progress.json'), restart: false, dryRun: false
+	};
+	for (let index = 0; index < args.length; index++) {
+		const arg = args[index];
+		if (arg === '--restart' || arg === '--dry-run') {
+			options[arg === '--restart' ? 'restart' : 'dryRun'] = true;
+			continue;
+		}
+		const value = args[index + 1];
+		if (!/^--(source|file|url|machine|tag|from|to|chunk-size|rate|retries|state)$/.test(arg)) {
+			throw new Error(`Unknown argument "${arg}". ${USAGE}`);
+		}
+		if (value === undefined) {
+			throw new Error(`${arg} needs a value`);
+		}
+		index++;
+		if (arg === '--tag') {
+			options.tags = value.split(',').map(code => code.trim()).filter(Boolean);
+		} else if (arg === '--from' || arg === '--to') {
+			options[arg.slice(2)] = parseDate(value, arg);
+		} else if (arg === '--chunk-size' || arg === '--rate' || arg === '--retries') {
+			const number = Number(value);
+			if (isNaN(number) || number < 0 || (arg === '--chunk-size' && number < 1)) {
+				throw new Error(`${arg} must be a positive number`);
+			}
+			options[arg === '--chunk-size' ? 'chunkSize' : arg.slice(2)] = number;
+		} else if (arg === '--state' || arg === '--file') {
+			options[arg.slice(2)] = path.resolve(value);
+		} else {
+			options[arg.slice(2)] = value;
+		}
+	}
+	if (!SOURCES[options.source]) {
+		throw new Error(`--source must be one of ${Object.keys(SOURCES).join(', ')}. ${USAGE}`);
+	}
+	return options;
+}
+
+function parseDate(value, name) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`Invalid ${name} date "${value}"`);
+	}
+	return date;
+}
+
+/** Values matching the filters, oldest first (then by tag), dates as ISO strings */
+function selectTagData(tagDataList, options) {
+	const matches = tagCodeMatcher(options.tags);
+	let invalid = 0;
+	const selected = [];
+	for (const tagData of tagDataList) {
+		const date = new Date(tagData.date);
+		if (!tagData.tagCode || isNaN(date.getTime())) {
+			invalid++;
+			continue;
+		}
+		// Values without machineCode (e.g. from the api source) are selected by tag only
+		if (!matches(tagData.tagCode) || (options.machine && tagData.machineCode && tagData.machineCode !== options.machine) ||
+			(options.from && date < options.from) || (options.to && date >= options.to)) {
+			continue;
+		}
+		selected.push({ ...tagData, date: date.toISOString() });
+	}
+	if (invalid > 0) {
+		console.log(` -- Skipping ${invalid} value(s) without tagCode or valid date -- `);
+	}
+	return selected.sort((a, b) => a.date.localeCompare(b.date) || a.tagCode.localeCompare(b.tagCode));
+}
+
+function progressKey(options) {
+	return JSON.stringify({
+		source: options.source,
+		file: options.file,
+		url: options.url,
+		machine: options.machine,
+		tags: options.tags,
+		from: options.from,
+		to: options.to
+	});
+}
+
+function loadProgress(file) {
+	try {
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (error) {
+		return null;
+	}
+}
+
+function saveProgress(file, progress) {
+	const tmpFile = `${file}.tmp`;
+	fs.writeFileSync(tmpFile, JSON.stringify({ ...progress, updatedAt: new Date() }, null, 2), 'utf8');
+	fs.renameSync(tmpFile, file);
+}
+
+/** Index of the first value after the last one sent (the list is sorted) */
+function resumeIndex(tagDataList, last) {
+	if (!last) {
+		return 0;
+	}
+	const index = tagDataList.findIndex(tagData => tagData.tagCode === last.tagCode && tagData.date === last.date);
+	if (index >= 0) {
+		return index + 1;
+	}
+	// The source changed meanwhile: continue after where the last value sent sorts
+	const next = tagDataList.findIndex(tagData => tagData.date > last.date ||
+		(tagData.date === last.date && tagData.tagCode.localeCompare(last.tagCode) > 0));
+	return next >= 0 ? next : tagDataList.length;
+}
+
+function printSummary(pending, options) {
+	const byTag = new Map();
+	pending.forEach(tagData => byTag.set(tagData.tagCode, (byTag.get(tagData.tagCode) || 0) + 1));
+	console.log(` -- ${pending.length} value(s) of ${byTag.size} tag(s) to replay from ${options.source}` +
+		(pending.length > 0 ? `, ${pending[0].date} to ${pending[pending.length - 1].date}` : '') + ' -- ');
+	if (options.dryRun) {
+		[...byTag].sort().forEach(([tagCode, count]) => console.log(`    ${tagCode}: ${count}`));
+	}
+}
+
+/**
+ * Send a chunk: the tags in parallel, the values of each tag in order.
+ * @returns {Promise<{ sent: number, rejected: number }>}
+ * @throws {Error} a value could not be delivered after options.retries attempts
+ */
+async function sendChunk(chunk, options) {
+	const lanes = new Map();
+	chunk.forEach(tagData => {
+		if (!lanes.has(tagData.tagCode)) {
+			lanes.set(tagData.tagCode, []);
+		}
+		lanes.get(tagData.tagCode).push(tagData);
+	});
+
+	const result = { sent: 0, rejected: 0 };
+	const outcomes = await Promise.allSettled([...lanes.values()].map(async tagDataList => {
+		for (const tagData of tagDataList) {
+			if (await sendTagData(tagData, options)) {
+				result.sent++;
+			} else {
+				result.rejected++;
+			}
+		}
+	}));
+	const failure = outcomes.find(outcome => outcome.status === 'rejected');
+	if (failure) {
+		throw failure.reason;
+	}
+	return result;
+}
+
+/** @returns {Promise<boolean>} false when the API rejected the value */
+async function sendTagData(tagData, options) {
+	const strTagData = `${tagData.tagCode}:${tagData.value}(${tagData.date})`;
+	for (let attempt = 1; ; attempt++) {
+		try {
+			await SupervisoryAPI.tagChanged(tagData);
+			return true;
+		} catch (error) {
+			const reason = error.message;
+			if (!isRetryableError(error)) {
+				console.log(` -- ERROR - Rejected value of ${strTagData} - Reason: ${reason} - skipped -- `);
+				return false;
+			}
+			if (attempt >= Math.max(options.retries, 1)) {
+				throw new Error(`Failed to send ${strTagData} after ${attempt} attempt(s) (${reason}); run the same command again to resume`);
+			}
+			console.log(` -- ERROR - Failed to send ${strTagData} (attempt ${attempt}) - Reason: ${reason} - retrying -- `);
+			await delay(2000 * Math.pow(2, attempt - 1));
+		}
+	}
+}
+
+function delay(ms) {
+	return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+module.exports = { selectTagData, resumeIndex }
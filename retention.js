@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * Store-and-forward limits of the queue (tag-queue.db), applied by register.js so the database
+ * stays bounded while the supervisory API is unreachable. config.json:
+ *   "retention": { "interval": 60000, "maxRows": 1000000, "maxBytes": 268435456, "maxAgeDays": 30,
+ *                  "coalesceWindow": 60000, "maxDeadRows": 10000, "vacuumInterval": 86400000 }
+ *   interval        ms between two checks
+ *   maxAgeDays      values read longer ago are dropped
+ *   maxRows         rows waiting for delivery (pending and retry)
+ *   maxBytes        bytes of the database in use
+ *   coalesceWindow  when maxRows or maxBytes is exceeded, normal priority tags first keep only their last
+ *                   value per coalesceWindow ms; the oldest rows are evicted next if it is not enough:
+ *                   normal priority first, then state rows
+ *   maxDeadRows     dead jobs kept for inspection (dead-letter.js); the oldest beyond it are dropped. The
+ *                   other limits never drop dead jobs.
+ *   vacuumInterval  rebuild the file that often to give the free pages back to the disk
+ * State rows (queue priority 1) are machine state transitions and the values of the setAutomatic /
+ * setStopped / setManual and counter tags; they are never coalesced.
+ * 0 or no setting = no limit. Every check that drops rows queues a warning record for the API
+ * (SupervisoryAPI.reportWarning) with the count per reason.
+ */
+
+const queue = require('./queue');
+const { ROLE_STATES } = require('./machine-state');
+const { isCounterTag } = require('./counters');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WARNING_TAG_CODE = '#retention';
+
+const REASONS = {
+	maxAge: settings => `older than ${settings.maxAgeDays} day(s)`,
+	coalesced: settings => `superseded within ${settings.coalesceWindow}ms`,
+	maxRows: settings => `over ${settings.maxRows} rows`,
+	maxBytes: settings => `over ${settings.maxBytes} bytes`,
+	maxDeadRows: settings => `dead over ${settings.maxDeadRows} rows`
+};
+
+/** @param {object} config config.json contents @returns {object} "retention" settings with defaults */
+function retentionSettings(config) {
+	const settings = config.retention || {};
+	return {
+		interval: settings.interval || 60000,
+		maxRows: settings.maxRows || 0,
+		maxBytes: settings.maxBytes || 0,
+		maxAgeDays: settings.maxAgeDays || 0,
+		coalesceWindow: settings.coalesceWindow || 0,
+		maxDeadRows: settings.maxDeadRows || 0,
+		vacuumInterval: settings.vacuumInterval || 0
+	};
+}
+
+/** @param {object} tag tags-to-listen.json entry @returns {number} queue priority of its values */
+function tagPriority(tag) {
+	return Object.prototype.hasOwnProperty.call(ROLE_STATES, tag.function) || isCounterTag(tag)
+		? queue.PRIORITY_STATE
+		: queue.PRIORITY_NORMAL;
+}
+
+/**
+ * Apply the limits once.
+ * @param {ReturnType<typeof retentionSettings>} settings
+ * @returns {Promise<object|null>} the warning record queued, null when nothing was dropped
+ */
+async function enforceRetention(db, settings, now = new Date()) {
+	const dropped = {};
+	if (settings.maxAgeDays > 0) {
+		dropped.maxAge = await queue.dropJobsBefore(db, new Date(now.getTime() - settings.maxAgeDays * DAY));
+	}
+	if (settings.maxDeadRows > 0) {
+		dropped.maxDeadRows = await queue.evictDeadJobs(db, settings.maxDeadRows);
+	}
+
+	let usage = await queue.queueUsage(db);
+	const overLimits = () => (settings.maxRows > 0 && usage.rows > settings.maxRows) ||
+		(settings.maxBytes > 0 && usage.bytes > settings.maxBytes);
+
+	if (settings.coalesceWindow > 0 && overLimits()) {
+		dropped.coalesced = await queue.coalesceJobs(db, settings.coalesceWindow);
+		usage = await queue.queueUsage(db);
+	}
+	if (settings.maxRows > 0 && usage.rows > settings.maxRows) {
+		dropped.maxRows = await queue.evictJobs(db, usage.rows - settings.maxRows);
+		usage = await queue.queueUsage(db);
+	}
+	// Bytes per row are an estimate (pages are shared): evict again until the database fits
+	for (let pass = 0; settings.maxBytes > 0 && usage.bytes > settings.maxBytes && pass < 5; pass++) {
+		const count = Math.ceil((usage.bytes - settings.maxBytes) / (usage.bytes / Math.max(usage.rows, 1)));
+		const evicted = await queue.evictJobs(db, count);
+		dropped.maxBytes = addDropped(dropped.maxBytes, evicted);
+		if (evicted.count === 0) {
+			break;
+		}
+		usage = await queue.queueUsage(db);
+	}
+
+	return queueWarning(db, settings, dropped, usage, now);
+}
+
+function addDropped(total, dropped) {
+	if (!total) {
+		return dropped;
+	}
+	return {
+		count: total.count + dropped.count,
+		stateRows: total.stateRows + dropped.stateRows,
+		oldest: [total.oldest, dropped.oldest].filter(Boolean).sort()[0] || null,
+		newest: [total.newest, dropped.newest].filter(Boolean).sort().pop() || null
+	};
+}
+
+async function queueWarning(db, settings, dropped, usage, now) {
+	const reasons = Object.entries(dropped).filter(([, rows]) => rows.count > 0);
+	if (reasons.length === 0) {
+		return null;
+	}
+	const total = reasons.reduce((count, [, rows]) => count + rows.count, 0);
+	const stateRows = reasons.reduce((count, [, rows]) => count + rows.stateRows, 0);
+	const warning = {
+		tagCode: WARNING_TAG_CODE,
+		recordType: queue.RECORD_WARNING,
+		date: now,
+		value: `Queue retention dropped ${total} row(s) (${stateRows} state): ` +
+			reasons.map(([reason, rows]) => `${rows.count} ${REASONS[reason](settings)}`).join(', '),
+		details: {
+			type: 'queueDataDropped',
+			dropped: total,
+			reasons: Object.fromEntries(reasons.map(([reason, rows]) => [reason, {
+				count: rows.count,
+				stateRows: rows.stateRows,
+				oldest: rows.oldest,
+				newest: rows.newest
+			}])),
+			queueRows: usage.rows,
+			deadRows: usage.deadRows,
+			queueBytes: usage.bytes
+		}
+	};
+	await queue.enqueue(db, warning);
+	return warning;
+}
+
+module.exports = { retentionSettings, tagPriority, enforceRetention }
@@ -0,0 +1,86 @@
+'use strict'
+
+/**
+ * Where a tags-to-listen.json entry lives on its PLC.
+ *
+ * OPC UA tags are addressed by `opcuaBrowseName` (resolved by browsing, see opcuaBrowseFrom,
+ * opcuaBrowseMaxDepth and opcuaNamespacePrefix), by `opcuaNodeId`, or by tagCode as a NodeId or
+ * short CODESYS name; `opcuaFieldPath` selects a member of a structured variable.
+ * EtherNet/IP tags are read by `cipTagName` (default tagCode) with an optional `cipFieldPath`.
+ * The `plc` argument is a PLC context: `{ config, driver }` (config from plc-config.js).
+ */
+
+/** @param {object} tag tags-to-listen.json entry @param {object} plc PLC context */
+function listenableTagBrowseOptions(tag, plc) {
+	const browseOpts = {
+		startingNodeId: tag.opcuaBrowseFrom || plc.config.opcuaBrowseFrom,
+		maxDepth: tag.opcuaBrowseMaxDepth || 25
+	};
+	if (tag.opcuaNamespacePrefix != null && tag.opcuaNamespacePrefix !== '') {
+		browseOpts.namespacePrefix = tag.opcuaNamespacePrefix;
+	} else if (plc.config.opcuaNamespacePrefix) {
+		browseOpts.namespacePrefix = plc.config.opcuaNamespacePrefix;
+	}
+	return browseOpts;
+}
+
+/**
+ * What to read for a tag, as accepted by the drivers' readTags: `{ tagName, fieldPath }`,
+ * or `{ browseName, browseOptions, fieldPath }` (resolved through the driver's NodeId cache).
+ * @param {object} tag tags-to-listen.json entry @param {object} plc PLC context
+ */
+function listenableTagReadRequest(tag, plc) {
+	if (plc.config.protocol === 'ethernetip') {
+		return { tagName: tag.cipTagName || tag.tagCode, fieldPath: tag.cipFieldPath };
+	}
+	if (tag.opcuaBrowseName) {
+		return {
+			browseName: tag.opcuaBrowseName,
+			browseOptions: listenableTagBrowseOptions(tag, plc),
+			fieldPath: tag.opcuaFieldPath
+		};
+	}
+	return { tagName: tag.opcuaNodeId || tag.tagCode, fieldPath: tag.opcuaFieldPath };
+}
+
+/**
+ * NodeId (or short CODESYS name) to monitor for a tag; browse names must resolve to exactly one variable.
+ * @param {object} tag tags-to-listen.json entry @param {object} plc PLC context
+ * @param {boolean} [refresh] browse again instead of using the cached NodeId
+ */
+async function resolveListenableTagNodeId(tag, plc, refresh = false) {
+	if (!tag.opcuaBrowseName) {
+		return tag.opcuaNodeId || tag.tagCode;
+	}
+	const browseOpts = listenableTagBrowseOptions(tag, plc);
+	return plc.driver.resolveBrowseName(tag.opcuaBrowseName, { ...browseOpts, refresh: refresh });
+}
+
+/**
+ * Driver tag name / NodeId a write command goes to, and the struct member for OPC UA (opcuaFieldPath).
+ * @param {object} tag tags-to-listen.json entry @param {object} plc PLC context
+ * @returns {Promise<{ tagName: string, fieldPath: string|null }>}
+ */
+async function writeTarget(tag, plc) {
+	if (plc.config.protocol === 'ethernetip') {
+		const tagName = tag.cipTagName || tag.tagCode;
+		return { tagName: tag.cipFieldPath ? `${tagName}.${tag.cipFieldPath}` : tagName, fieldPath: null };
+	}
+	return { tagName: await resolveListenableTagNodeId(tag, plc), fieldPath: tag.opcuaFieldPath || null };
+}
+
+/** Fields that decide which PLC variable a tag reads (plc-config.js picks the PLC from `plc`) */
+const ADDRESS_FIELDS = [
+	'plc', 'opcuaNodeId', 'opcuaBrowseName', 'opcuaBrowseFrom', 'opcuaBrowseMaxDepth', 'opcuaNamespacePrefix',
+	'opcuaFieldPath', 'cipTagName', 'cipFieldPath'
+];
+
+/**
+ * Whether two versions of a tags-to-listen.json entry read the same PLC variable.
+ * @param {object} before @param {object} after
+ */
+function isSameTagAddress(before, after) {
+	return ADDRESS_FIELDS.every(field => (before[field] ?? null) === (after[field] ?? null));
+}
+
+module.exports = { isSameTagAddress, listenableTagBrowseOptions, listenableTagReadRequest, resolveListenableTagNodeId, writeTarget }
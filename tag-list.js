@@ -0,0 +1,282 @@
+'use strict'
+
+/**
+ * tags-to-listen.json: loading, diffing and hot reload.
+ *
+ * The listener reloads the file while running (config.json "tags"):
+ *   "tags": { "file": "tags-to-listen.json", "watch": true, "watchInterval": 2000, "syncInterval": 0 }
+ *   watch         reload when the file changes (tags.js, an editor, a deployment)
+ *   syncInterval  also fetch the list from the API (GET tag/listenables) every syncInterval ms and
+ *                 rewrite the file when it differs (0 = off)
+ * Tags are matched by tagCode; a tag whose entry changed is stopped and started again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const deepEqual = require('deep-equal');
+const { SupervisoryAPI } = require('./SupervisoryAPI');
+const { tagDeadband } = require('./change-detection');
+const { isCounterTag, counterSettings } = require('./counters');
+const { plcNameForTag } = require('./plc-config');
+
+/** Fields of a tags-to-listen.json entry and their JSON type; other fields are reported as unknown */
+const TAG_FIELDS = {
+	tagCode: 'string',
+	machineCode: 'string',
+	description: 'string',
+	startDate: 'string',
+	function: 'string',
+	listenable: 'boolean',
+	readWrite: 'string',
+	plc: 'string',
+	listenMode: 'string',
+	samplingInterval: 'number',
+	deadband: 'object',
+	counter: 'object',
+	opcuaNodeId: 'string',
+	opcuaBrowseName: 'string',
+	opcuaBrowseFrom: 'string',
+	opcuaBrowseMaxDepth: 'number',
+	opcuaNamespacePrefix: 'string',
+	opcuaFieldPath: 'string',
+	cipTagName: 'string',
+	cipFieldPath: 'string',
+	writeType: 'string',
+	min: 'number',
+	max: 'number',
+	allowedValues: 'array'
+};
+
+const TAG_FIELD_VALUES = {
+	readWrite: ['read', 'write', 'readWrite'],
+	listenMode: ['polling', 'subscription'],
+	writeType: ['number', 'boolean', 'string']
+};
+
+/**
+ * @param {string} file
+ * @returns {object[]} tags-to-listen.json entries
+ * @throws {Error} unreadable or invalid JSON, entries without tagCode, duplicate tagCodes
+ */
+function loadTagList(file) {
+	const tags = JSON.parse(fs.readFileSync(file, 'utf8'));
+	validateTagList(tags, file);
+	return tags;
+}
+
+function validateTagList(tags, source) {
+	if (!Array.isArray(tags)) {
+		throw new Error(`${source}: expected a list of tags`);
+	}
+	const codes = new Set();
+	tags.forEach((tag, index) => {
+		if (!tag || typeof tag !== 'object' || !tag.tagCode) {
+			throw new Error(`${source}: tag #${index + 1} has no tagCode`);
+		}
+		if (codes.has(tag.tagCode)) {
+			throw new Error(`${source}: duplicate tagCode ${tag.tagCode}`);
+		}
+		codes.add(tag.tagCode);
+	});
+}
+
+/**
+ * Check every entry against the fields the listener and the command channel understand.
+ * Unlike loadTagList it does not stop at the first problem.
+ * @param {any} tags parsed tags-to-listen.json
+ * @param {object[]} plcs result of loadPlcConfigs
+ * @returns {Array<{ tagCode: string|null, machineCode: string|null, level: 'error'|'warning', message: string }>}
+ */
+function checkTagList(tags, plcs) {
+	if (!Array.isArray(tags)) {
+		return [{ tagCode: null, machineCode: null, level: 'error', message: 'expected a list of tags' }];
+	}
+	const issues = [];
+	const codes = new Set();
+	tags.forEach((tag, index) => {
+		const tagCode = tag && typeof tag === 'object' ? tag.tagCode || null : null;
+		const machineCode = tag && typeof tag === 'object' ? tag.machineCode || null : null;
+		const report = (level, message) => issues.push({ tagCode: tagCode, machineCode: machineCode, level: level, message: message });
+		if (!tag || typeof tag !== 'object' || Array.isArray(tag)) {
+			issues.push({ tagCode: null, machineCode: null, level: 'error', message: `tag #${index + 1} is not an object` });
+			return;
+		}
+		if (!tagCode) {
+			issues.push({ tagCode: null, machineCode: machineCode, level: 'error', message: `tag #${index + 1} has no tagCode` });
+		} else if (codes.has(tagCode)) {
+			report('error', 'duplicate tagCode');
+		}
+		codes.add(tagCode);
+
+		const wrongType = new Set();
+		for (const [field, value] of Object.entries(tag)) {
+			const type = TAG_FIELDS[field];
+			if (!type) {
+				report('warning', `unknown field "${field}"`);
+			} else if (value !== null && (type === 'array' ? !Array.isArray(value) : typeof value !== type)) {
+				wrongType.add(field);
+				report('error', `${field} must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}, got ${JSON.stringify(value)}`);
+			} else if (TAG_FIELD_VALUES[field] && !TAG_FIELD_VALUES[field].includes(value)) {
+				report('error', `${field} must be one of ${TAG_FIELD_VALUES[field].join(', ')}, got ${JSON.stringify(value)}`);
+			}
+		}
+
+		if (!wrongType.has('deadband')) {
+			try {
+				tagDeadband(tag);
+			} catch (error) {
+				report('error', error.message);
+			}
+		}
+		if (tag.counter && !wrongType.has('counter')) {
+			if (!isCounterTag(tag)) {
+				report('warning', 'counter settings are ignored unless function is "counter"');
+			}
+			try {
+				counterSettings(tag, null);
+			} catch (error) {
+				report('error', error.message);
+			}
+		}
+		if (typeof tag.min === 'number' && typeof tag.max === 'number' && tag.min > tag.max) {
+			report('error', `min ${tag.min} is above max ${tag.max}`);
+		}
+		if (tag.opcuaNodeId && tag.opcuaBrowseName) {
+			report('warning', 'both opcuaNodeId and opcuaBrowseName are set, opcuaBrowseName is used');
+		}
+
+		const plcName = plcNameForTag(tag, plcs);
+		const plc = plcs.find(candidate => candidate.name === plcName);
+		if (!plc) {
+			report('error', `PLC "${plcName}" is not configured`);
+		} else if (plc.protocol === 'ethernetip' && (tag.opcuaNodeId || tag.opcuaBrowseName || tag.opcuaFieldPath)) {
+			report('warning', `opcua* fields are ignored on the EtherNet/IP PLC "${plc.name}"`);
+		} else if (plc.protocol === 'opcua' && (tag.cipTagName || tag.cipFieldPath)) {
+			report('warning', `cip* fields are ignored on the OPC UA PLC "${plc.name}"`);
+		}
+	});
+	return issues;
+}
+
+/**
+ * Write the list atomically, so a running listener never reads half a file.
+ * @param {string} file
+ * @param {object[]} tags
+ */
+function writeTagList(file, tags) {
+	const tmpFile = `${file}.tmp`;
+	fs.writeFileSync(tmpFile, JSON.stringify(tags, null, 3), 'utf8');
+	fs.renameSync(tmpFile, file);
+}
+
+/**
+ * @param {object[]} previous
+ * @param {object[]} current
+ * @returns {{ added: object[], removed: object[], changed: Array<{ before: object, after: object }> }}
+ */
+function diffTagLists(previous, current) {
+	const previousByCode = new Map(previous.map(tag => [tag.tagCode, tag]));
+	const currentCodes = new Set(current.map(tag => tag.tagCode));
+	const diff = { added: [], removed: [], changed: [] };
+
+	for (const tag of current) {
+		const before = previousByCode.get(tag.tagCode);
+		if (!before) {
+			diff.added.push(tag);
+		} else if (!deepEqual(before, tag, { strict: true })) {
+			diff.changed.push({ before: before, after: tag });
+		}
+	}
+	diff.removed = previous.filter(tag => !currentCodes.has(tag.tagCode));
+	return diff;
+}
+
+/** @param {ReturnType<typeof diffTagLists>} diff */
+function isEmptyDiff(diff) {
+	return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+/** @param {ReturnType<typeof diffTagLists>} diff @returns {string} one line for the log */
+function describeDiff(diff) {
+	const codes = tags => tags.map(tag => tag.tagCode).join(', ');
+	const parts = [];
+	if (diff.added.length > 0) {
+		parts.push(`added ${codes(diff.added)}`);
+	}
+	if (diff.removed.length > 0) {
+		parts.push(`removed ${codes(diff.removed)}`);
+	}
+	if (diff.changed.length > 0) {
+		parts.push(`changed ${diff.changed.map(({ before, after }) => `${after.tagCode} (${changedFields(before, after).join(', ')})`).join(', ')}`);
+	}
+	return parts.join('; ');
+}
+
+function changedFields(before, after) {
+	const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+	return [...keys].filter(key => !deepEqual(before[key], after[key], { strict: true }));
+}
+
+/**
+ * Call onChange after the file was modified (polled with fs.watchFile, which survives the file
+ * being replaced by a rename).
+ * @param {string} file
+ * @param {number} interval ms between checks
+ * @param {function(): void} onChange
+ * @returns {function(): void} stop watching
+ */
+function watchTagList(file, interval, onChange) {
+	const listener = (current, previous) => {
+		if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+			onChange();
+		}
+	};
+	fs.watchFile(file, { interval: interval, persistent: false }, listener);
+	return () => fs.unwatchFile(file, listener);
+}
+
+/**
+ * Fetch the listenable tags from the API and rewrite the file when they differ.
+ * @param {string} file
+ * @returns {Promise<boolean>} true when the file was rewritten
+ */
+async function syncTagListFromApi(file) {
+	const response = await SupervisoryAPI.listTags();
+	const tags = response.data;
+	validateTagList(tags, 'API tag/listenables');
+
+	let current = null;
+	try {
+		current = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (error) {
+		// Missing or broken file: replaced below
+	}
+	if (current && deepEqual(current, tags, { strict: true })) {
+		return false;
+	}
+	writeTagList(file, tags);
+	return true;
+}
+
+/** @param {object} config config.json contents @returns {object} "tags" settings with defaults */
+function tagListSettings(config) {
+	const settings = config.tags || {};
+	return {
+		file: path.resolve(__dirname, settings.file || 'tags-to-listen.json'),
+		watch: settings.watch !== false,
+		watchInterval: settings.watchInterval || 2000,
+		syncInterval: settings.syncInterval || 0
+	};
+}
+
+module.exports = {
+	loadTagList,
+	checkTagList,
+	writeTagList,
+	diffTagLists,
+	isEmptyDiff,
+	describeDiff,
+	watchTagList,
+	syncTagListFromApi,
+	tagListSettings
+}
@@ -1,10 +1,12 @@
 'use strict'
 const { SupervisoryAPI } = require('./SupervisoryAPI');
-var fs = require('fs');
+const { writeTagList, tagListSettings } = require('./tag-list');
+const config = require('./config.json');
 
 SupervisoryAPI.listTags().then(function (response)
 {
-    fs.writeFile('tags-to-listen.json', JSON.stringify(response.data, null, 3), 'utf8', fileWriteCallback);
+    // Atomic write: a running listener reloads the file (see tag-list.js)
+    writeTagList(tagListSettings(config).file, response.data);
 
     response.data.forEach(function (tag)
     {
@@ -12,10 +14,8 @@ SupervisoryAPI.listTags().then(function (response)
         console.log(tag.tagCode + "=" + tagType + " \\");
     });
 
-});
-
-function fileWriteCallback(value)
+}).catch(function (error)
 {
-
-    //console.log('Write Callback: ' + JSON.stringify(value));
-}
+    console.log(" -- Error listing tags: " + error.message + " -- ");
+    process.exit(1);
+});
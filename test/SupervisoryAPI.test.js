@@ -0,0 +1,194 @@
+'use strict'
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { SupervisoryApiError, createSupervisoryAPI } = require('../SupervisoryAPI');
+
+/**
+ * Local API stand-in: records every request and answers with `respond(request, index)`,
+ * which returns `{ status, body }`, or null to never answer.
+ */
+async function startMockApi(respond = () => ({ status: 200, body: {} })) {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => { body += chunk; });
+		req.on('end', () => {
+			const request = { method: req.method, url: req.url, headers: req.headers, body: body };
+			requests.push(request);
+			const answer = respond(request, requests.length - 1);
+			if (answer) {
+				res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify(answer.body ?? {}));
+			}
+		});
+	});
+	server.listen(0, '127.0.0.1');
+	await once(server, 'listening');
+	return {
+		requests: requests,
+		url: `http://127.0.0.1:${server.address().port}/api/v1`,
+		close: () => {
+			server.closeAllConnections();
+			return new Promise(resolve => server.close(resolve));
+		}
+	};
+}
+
+/** Client of a mock API; short retry delays */
+function clientOf(api, options = {}) {
+	return createSupervisoryAPI({ url: api.url, timeout: 1000, retry: { attempts: 3, delay: 5 }, ...options });
+}
+
+/** Answers `status` until the last attempt, then 200 */
+function failUntilLast(status, attempts = 3) {
+	return (request, index) => (index < attempts - 1 ? { status: status, body: { error: 'busy' } } : { status: 200, body: { ok: true } });
+}
+
+test('sends the bearer token', async () => {
+	const api = await startMockApi();
+	try {
+		await clientOf(api, { auth: { type: 'bearer', token: 'secret-token' } }).listMachines();
+
+		assert.equal(api.requests[0].url, '/api/v1/machine');
+		assert.equal(api.requests[0].headers.authorization, 'Bearer secret-token');
+	} finally {
+		await api.close();
+	}
+});
+
+test('sends the API key from the environment, in the configured header', async () => {
+	const api = await startMockApi();
+	process.env.SUPERVISORY_API_TEST_KEY = 'key-123';
+	try {
+		await clientOf(api, { auth: { type: 'apiKey', keyEnv: 'SUPERVISORY_API_TEST_KEY', header: 'X-Plant-Key' } }).listPlants();
+
+		assert.equal(api.requests[0].headers['x-plant-key'], 'key-123');
+		assert.equal(api.requests[0].headers.authorization, undefined);
+	} finally {
+		delete process.env.SUPERVISORY_API_TEST_KEY;
+		await api.close();
+	}
+});
+
+test('a missing secret fails the call, not the client creation', async () => {
+	const api = await startMockApi();
+	try {
+		const client = clientOf(api, { auth: { type: 'bearer', tokenEnv: 'SUPERVISORY_API_TEST_MISSING' } });
+
+		await assert.rejects(client.listTags(), error => {
+			assert.ok(error instanceof SupervisoryApiError);
+			assert.equal(error.code, 'ERR_API_AUTH');
+			assert.equal(error.status, null);
+			assert.match(error.message, /no bearer token in SUPERVISORY_API_TEST_MISSING/);
+			return true;
+		});
+		assert.equal(api.requests.length, 0);
+	} finally {
+		await api.close();
+	}
+});
+
+test('a timeout rejects with a SupervisoryApiError without status', async () => {
+	const api = await startMockApi(() => null);
+	try {
+		const client = clientOf(api, { timeout: 50, retry: { attempts: 1 } });
+
+		await assert.rejects(client.listMachines(), error => {
+			assert.ok(error instanceof SupervisoryApiError);
+			assert.equal(error.status, null);
+			assert.equal(error.method, 'GET');
+			assert.match(error.message, /GET .*\/api\/v1\/machine failed: timeout/);
+			return true;
+		});
+	} finally {
+		await api.close();
+	}
+});
+
+for (const status of [503, 408, 429]) {
+	test(`GET, PUT and DELETE are retried on HTTP ${status}`, async () => {
+		const calls = {
+			GET: client => client.listCurrentMachineRuntimes(),
+			PUT: client => client.insertPartNumberTargets({ machineCode: 'M1', partNumber: 'P1', target: 10 }),
+			DELETE: client => client.clearPartNumberTargets()
+		};
+		for (const [method, call] of Object.entries(calls)) {
+			const api = await startMockApi(failUntilLast(status));
+			try {
+				const response = await call(clientOf(api));
+
+				assert.deepEqual(response.data, { ok: true });
+				assert.deepEqual(api.requests.map(request => request.method), [method, method, method]);
+			} finally {
+				await api.close();
+			}
+		}
+	});
+}
+
+test('gives up after the configured attempts', async () => {
+	const api = await startMockApi(() => ({ status: 500 }));
+	try {
+		await assert.rejects(clientOf(api).listProcess(), error => {
+			assert.equal(error.status, 500);
+			assert.equal(error.attempts, 3);
+			assert.match(error.message, /failed: HTTP 500 \(after 3 attempts\)/);
+			return true;
+		});
+		assert.equal(api.requests.length, 3);
+	} finally {
+		await api.close();
+	}
+});
+
+test('POST is sent once', async () => {
+	const api = await startMockApi(failUntilLast(503));
+	try {
+		await assert.rejects(clientOf(api).tagChanged({ tagCode: 'T1', value: 1 }), error => {
+			assert.equal(error.status, 503);
+			assert.equal(error.attempts, 1);
+			return true;
+		});
+		assert.equal(api.requests.length, 1);
+		assert.deepEqual(JSON.parse(api.requests[0].body), { tagCode: 'T1', value: 1 });
+	} finally {
+		await api.close();
+	}
+});
+
+test('4xx answers are not retried', async () => {
+	const api = await startMockApi(() => ({ status: 404, body: { error: 'unknown machine' } }));
+	try {
+		await assert.rejects(clientOf(api).getStatus('M9', new Date()), error => {
+			assert.equal(error.status, 404);
+			assert.deepEqual(error.data, { error: 'unknown machine' });
+			return true;
+		});
+		assert.equal(api.requests.length, 1);
+	} finally {
+		await api.close();
+	}
+});
+
+test('status, counter and target routes carry the date as local yyyy-mm-ddTHH:MM:ss', async () => {
+	const api = await startMockApi();
+	try {
+		const client = clientOf(api);
+		const date = new Date(2024, 0, 2, 3, 4, 5, 678);
+
+		await client.getStatus('M1', date);
+		await client.getCounter('M1', date.getTime());
+		await client.getTarget('M1', date.toISOString());
+
+		assert.deepEqual(api.requests.map(request => request.url), [
+			'/api/v1/status/M1/2024-01-02T03:04:05',
+			'/api/v1/counter/M1/2024-01-02T03:04:05',
+			'/api/v1/target/M1/2024-01-02T03:04:05'
+		]);
+	} finally {
+		await api.close();
+	}
+});
@@ -0,0 +1,98 @@
+'use strict'
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { refreshMonitoredTags } = require('../monitored-tags');
+
+/**
+ * PLC context after a reconnect: every tag was monitored, `dropped` ones were not restored by the driver.
+ * `nodeIds` are what browse names resolve to now; `refused` NodeIds cannot be monitored.
+ */
+function reconnectedPlc({ tags, dropped = [], nodeIds = {}, refused = [] }) {
+	const monitored = new Set(tags.map(tag => tag.tagCode).filter(tagCode => !dropped.includes(tagCode)));
+	const plc = {
+		config: { protocol: 'opcua' },
+		tags: tags,
+		monitoredNodeIds: new Map(tags.map(tag => [tag.tagCode, tag.nodeId])),
+		pollingTags: [],
+		monitorCalls: [],
+		driver: {
+			isMonitored: key => monitored.has(key),
+			resolveBrowseName: async browseName => {
+				if (!nodeIds[browseName]) {
+					throw new Error(`${browseName} not found`);
+				}
+				return nodeIds[browseName];
+			},
+			removeMonitoredItem: async key => monitored.delete(key)
+		}
+	};
+	plc.monitorTag = async (tag, nodeId) => {
+		plc.monitorCalls.push([tag.tagCode, nodeId]);
+		if (refused.includes(nodeId)) {
+			throw new Error(`Cannot monitor ${nodeId}: BadNodeIdUnknown`);
+		}
+		monitored.add(tag.tagCode);
+		return nodeId;
+	};
+	return plc;
+}
+
+test('restored tags on unchanged NodeIds are left alone', async () => {
+	const plc = reconnectedPlc({
+		tags: [
+			{ tagCode: 'RUN', nodeId: 'ns=4;s=RUN', opcuaNodeId: 'ns=4;s=RUN' },
+			{ tagCode: 'SPEED', nodeId: 'ns=4;i=7', opcuaBrowseName: 'SPEED' }
+		],
+		nodeIds: { SPEED: 'ns=4;i=7' }
+	});
+
+	await refreshMonitoredTags(plc, plc.monitorTag);
+
+	assert.deepEqual(plc.monitorCalls, []);
+	assert.deepEqual(plc.pollingTags, []);
+});
+
+test('a browse-name tag moved by a download is monitored on its new NodeId', async () => {
+	const plc = reconnectedPlc({
+		tags: [{ tagCode: 'SPEED', nodeId: 'ns=4;i=7', opcuaBrowseName: 'SPEED' }],
+		nodeIds: { SPEED: 'ns=4;i=9' }
+	});
+
+	await refreshMonitoredTags(plc, plc.monitorTag);
+
+	assert.deepEqual(plc.monitorCalls, [['SPEED', 'ns=4;i=9']]);
+	assert.equal(plc.monitoredNodeIds.get('SPEED'), 'ns=4;i=9');
+});
+
+test('a tag whose restore failed is monitored again', async () => {
+	const plc = reconnectedPlc({
+		tags: [
+			{ tagCode: 'RUN', nodeId: 'ns=4;s=RUN', opcuaNodeId: 'ns=4;s=RUN' },
+			{ tagCode: 'SPEED', nodeId: 'ns=4;i=7', opcuaBrowseName: 'SPEED' }
+		],
+		dropped: ['RUN', 'SPEED'],
+		nodeIds: { SPEED: 'ns=4;i=7' }
+	});
+
+	await refreshMonitoredTags(plc, plc.monitorTag);
+
+	assert.deepEqual(plc.monitorCalls, [['RUN', 'ns=4;s=RUN'], ['SPEED', 'ns=4;i=7']]);
+	assert.deepEqual([...plc.monitoredNodeIds.keys()], ['RUN', 'SPEED']);
+	assert.deepEqual(plc.pollingTags, []);
+});
+
+test('a tag that cannot be monitored again is polled', async () => {
+	const tags = [
+		{ tagCode: 'RUN', nodeId: 'ns=4;s=RUN', opcuaNodeId: 'ns=4;s=RUN' },
+		{ tagCode: 'PIECES', nodeId: 'PIECES' },
+		{ tagCode: 'SPEED', nodeId: 'ns=4;i=7', opcuaBrowseName: 'SPEED' }
+	];
+	const plc = reconnectedPlc({ tags: tags, dropped: ['RUN', 'PIECES'], refused: ['ns=4;s=RUN', 'PIECES'] });
+
+	await refreshMonitoredTags(plc, plc.monitorTag);
+
+	assert.deepEqual(plc.pollingTags.map(tag => tag.tagCode), ['RUN', 'PIECES', 'SPEED']);
+	assert.equal(plc.monitoredNodeIds.size, 0);
+	assert.equal(plc.driver.isMonitored('SPEED'), false);
+});
@@ -0,0 +1,82 @@
+'use strict'
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectTagData, resumeIndex } = require('../replay');
+const { parseCsv } = require('../replay-sources');
+
+const VALUES = [
+	{ tagCode: 'M1_SPEED', machineCode: 'M1', date: '2024-03-01T10:00:02Z', value: 12 },
+	{ tagCode: 'M1_RUN', machineCode: 'M1', date: '2024-03-01T10:00:01Z', value: 1 },
+	{ tagCode: 'M2_RUN', machineCode: 'M2', date: '2024-03-01T10:00:01Z', value: 0 },
+	{ tagCode: 'M1_PIECES', date: '2024-03-01T10:00:01Z', value: 40 },
+	{ tagCode: 'M1_RUN', machineCode: 'M1', date: '2024-03-01T09:59:59Z', value: 0 }
+];
+
+const codes = tagDataList => tagDataList.map(tagData => `${tagData.tagCode}@${tagData.date.slice(11, 19)}`);
+
+test('selectTagData sorts by date then tag code, with ISO dates', () => {
+	assert.deepEqual(codes(selectTagData(VALUES, {})), [
+		'M1_RUN@09:59:59',
+		'M1_PIECES@10:00:01',
+		'M1_RUN@10:00:01',
+		'M2_RUN@10:00:01',
+		'M1_SPEED@10:00:02'
+	]);
+	assert.equal(selectTagData(VALUES, {})[0].date, '2024-03-01T09:59:59.000Z');
+});
+
+test('selectTagData filters by tag pattern, machine and date range (to excluded)', () => {
+	assert.deepEqual(codes(selectTagData(VALUES, { tags: ['M1_R*', 'M1_SPEED'] })),
+		['M1_RUN@09:59:59', 'M1_RUN@10:00:01', 'M1_SPEED@10:00:02']);
+	// Values without machineCode are kept by the machine filter
+	assert.deepEqual(codes(selectTagData(VALUES, { machine: 'M2' })), ['M1_PIECES@10:00:01', 'M2_RUN@10:00:01']);
+	assert.deepEqual(codes(selectTagData(VALUES, {
+		from: new Date('2024-03-01T10:00:00Z'),
+		to: new Date('2024-03-01T10:00:02Z')
+	})), ['M1_PIECES@10:00:01', 'M1_RUN@10:00:01', 'M2_RUN@10:00:01']);
+});
+
+test('selectTagData skips values without tag code or valid date', () => {
+	const selected = selectTagData([...VALUES, { date: '2024-03-01T10:00:00Z', value: 1 }, { tagCode: 'X', date: 'yesterday' }], {});
+	assert.equal(selected.length, VALUES.length);
+});
+
+test('resumeIndex continues after the last value sent', () => {
+	const list = selectTagData(VALUES, {});
+
+	assert.equal(resumeIndex(list, null), 0);
+	assert.equal(resumeIndex(list, { tagCode: 'M1_RUN', date: '2024-03-01T10:00:01.000Z' }), 3);
+	assert.equal(resumeIndex(list, { tagCode: 'M1_SPEED', date: '2024-03-01T10:00:02.000Z' }), list.length);
+});
+
+test('resumeIndex keeps the values of the same date sorting after a last value no longer in the source', () => {
+	const list = selectTagData(VALUES, {});
+
+	// M1_QUALITY was sent, then removed from the source: M1_RUN and M2_RUN of the same date are still due
+	assert.deepEqual(codes(list.slice(resumeIndex(list, { tagCode: 'M1_QUALITY', date: '2024-03-01T10:00:01.000Z' }))),
+		['M1_RUN@10:00:01', 'M2_RUN@10:00:01', 'M1_SPEED@10:00:02']);
+	assert.deepEqual(codes(list.slice(resumeIndex(list, { tagCode: 'M1_ZERO', date: '2024-03-01T10:00:01.500Z' }))),
+		['M1_SPEED@10:00:02']);
+	assert.equal(resumeIndex(list, { tagCode: 'M9', date: '2024-03-02T00:00:00.000Z' }), list.length);
+});
+
+test('parseCsv reads quoted fields, CRLF line ends and JSON values', () => {
+	const text = 'date,tagCode,value,quality,details\r\n' +
+		'2024-03-01T10:00:01Z,M1_RUN,1,good,\r\n' +
+		'2024-03-01T10:00:02Z,"M1,NOTE","say ""hi""\r\nthere",uncertain,"{""counterEvent"":""rollover""}"\r\n' +
+		'2024-03-01T10:00:03Z,M1_RECIPE,"{""speed"":12.5,""name"":""A""}",good,\r\n' +
+		'2024-03-01T10:00:04Z,M1_TEXT,abc,,\r\n' +
+		'\r\n';
+
+	assert.deepEqual(parseCsv(text, 'values.csv'), [
+		{ date: '2024-03-01T10:00:01Z', tagCode: 'M1_RUN', value: 1, quality: 'good', details: null },
+		{ date: '2024-03-01T10:00:02Z', tagCode: 'M1,NOTE', value: 'say "hi"\r\nthere', quality: 'uncertain', details: { counterEvent: 'rollover' } },
+		{ date: '2024-03-01T10:00:03Z', tagCode: 'M1_RECIPE', value: { speed: 12.5, name: 'A' }, quality: 'good', details: null },
+		{ date: '2024-03-01T10:00:04Z', tagCode: 'M1_TEXT', value: 'abc', quality: null, details: null }
+	]);
+});
+
+test('parseCsv needs the date, tagCode and value columns', () => {
+	assert.throws(() => parseCsv('date,value\n2024-03-01T10:00:01Z,1\n', 'values.csv'), /values\.csv: missing column\(s\) tagCode/);
+});
@@ -0,0 +1,262 @@
+'use strict'
+
+/**
+ * Check tags-to-listen.json before deploying it: the fields of every entry (checkTagList in tag-list.js),
+ * then every listenable or writable tag resolved and read on its PLC, as configured in config.json
+ * (a real PLC or a simulator).
+ *
+ *   node validate-tags.js [--file <tags.json>] [--plc <name>] [--machine <code>] [--offline] [--json]
+ *
+ *   --file     tag list to check (default: config.json "tags.file")
+ *   --plc      only the tags of this PLC
+ *   --machine  only the tags of this machine
+ *   --offline  check the fields only, without connecting to the PLCs
+ *   --json     print the report as JSON
+ *
+ * Per machine, every tag is reported with the NodeId / symbol it resolved to, its data type and current
+ * value, or why it cannot be read: unknown NodeId, browse name not found or ambiguous (with the
+ * candidates), bad field path, PLC not reachable. Exits with 1 when an entry is invalid or a tag
+ * cannot be read (warnings do not fail).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadPlcConfigs, opcuaSecurityOptions, plcNameForTag, groupTagsByPlc } = require('./plc-config');
+const { checkTagList, tagListSettings } = require('./tag-list');
+const { isWritableTag } = require('./commands');
+const { listenableTagReadRequest } = require('./tag-address');
+
+// Load configuration
+const config = require('./config.json');
+
+const STATUS_OK = 'ok';
+const STATUS_FAILED = 'failed';
+
+main();
+
+async function main() {
+	try {
+		const options = parseArguments(process.argv.slice(2));
+		const plcConfigs = loadPlcConfigs(config);
+		const file = options.file ? path.resolve(options.file) : tagListSettings(config).file;
+
+		let tags;
+		try {
+			tags = JSON.parse(fs.readFileSync(file, 'utf8'));
+		} catch (error) {
+			throw new Error(`Cannot read ${file}: ${error.message}`);
+		}
+
+		const selected = tag => (!options.plc || plcNameForTag(tag, plcConfigs) === options.plc) &&
+			(!options.machine || tag.machineCode === options.machine);
+		const tagsByCode = new Map((Array.isArray(tags) ? tags : [])
+			.filter(tag => tag && tag.tagCode)
+			.map(tag => [tag.tagCode, tag]));
+
+		const issues = checkTagList(tags, plcConfigs)
+			.filter(issue => issue.tagCode === null || selected(tagsByCode.get(issue.tagCode)));
+		const invalidCodes = new Set(issues.filter(issue => issue.level === 'error').map(issue => issue.tagCode));
+
+		// Entries with invalid fields are not read: the listener would not run with them either
+		const checked = [...tagsByCode.values()]
+			.filter(tag => selected(tag) && (tag.listenable || isWritableTag(tag)) && !invalidCodes.has(tag.tagCode));
+
+		const results = [];
+		if (!options.offline) {
+			for (const [name, plcTags] of groupTagsByPlc(checked, plcConfigs)) {
+				const plcConfig = plcConfigs.find(plc => plc.name === name);
+				if (plcConfig) {
+					results.push(...await resolvePlcTags(plcConfig, plcTags));
+				}
+			}
+		}
+
+		const errors = issues.filter(issue => issue.level === 'error').length;
+		const failed = results.filter(result => result.status === STATUS_FAILED).length;
+		if (options.json) {
+			console.log(JSON.stringify({ file: file, issues: issues, results: results }, null, 2));
+		} else {
+			printReport(file, issues, results, options.offline);
+		}
+		process.exit(errors > 0 || failed > 0 ? 1 : 0);
+	} catch (err) {
+		console.log(` -- Error: ${err.message} -- `);
+		process.exit(1);
+	}
+}
+
+function parseArguments(args) {
+	const options = { file: null, plc: null, machine: null, offline: false, json: false };
+	for (let index = 0; index < args.length; index++) {
+		const arg = args[index];
+		if (arg === '--offline' || arg === '--json') {
+			options[arg.slice(2)] = true;
+		} else if (arg === '--file' || arg === '--plc' || arg === '--machine') {
+			if (!args[index + 1]) {
+				throw new Error(`${arg} needs a value`);
+			}
+			options[arg.slice(2)] = args[++index];
+		} else {
+			throw new Error(`Unknown argument "${arg}". Usage: node validate-tags.js [--file <tags.json>] [--plc <name>] [--machine <code>] [--offline] [--json]`);
+		}
+	}
+	return options;
+}
+
+/** Connect to one PLC and read each of its tags once. */
+async function resolvePlcTags(plcConfig, tags) {
+	const driver = await createDriver(plcConfig);
+	const plc = { config: plcConfig, driver: driver };
+	try {
+		await driver.connect();
+	} catch (error) {
+		const reason = error.message.split('\n')[0];
+		return tags.map(tag => ({
+			...tagResult(tag, plcConfig),
+			status: STATUS_FAILED,
+			error: `PLC ${plcConfig.name} is not reachable: ${reason}`
+		}));
+	}
+
+	const results = [];
+	try {
+		for (const tag of tags) {
+			results.push(await resolveTag(tag, plc));
+		}
+	} finally {
+		await driver.disconnect().catch(() => {});
+	}
+	return results;
+}
+
+async function createDriver(plcConfig) {
+	// No reconnect and a fresh (in-memory) NodeId cache: every address is resolved again
+	if (plcConfig.protocol === 'ethernetip') {
+		const { default: EthernetIpDriver } = await import('./lib-ethernetip-driver/index.js');
+		return new EthernetIpDriver(plcConfig.ip, plcConfig.slot, { autoReconnect: false });
+	}
+	const { default: OPCUADriver } = await import('./lib-opcua-driver/index.js');
+	return new OPCUADriver(plcConfig.ip, plcConfig.port, {
+		autoReconnect: false,
+		...opcuaSecurityOptions(plcConfig, config)
+	});
+}
+
+function tagResult(tag, plcConfig) {
+	return {
+		tagCode: tag.tagCode,
+		machineCode: tag.machineCode || null,
+		plc: plcConfig.name,
+		status: null,
+		address: null,
+		dataType: null,
+		value: null,
+		quality: null,
+		candidates: null,
+		error: null,
+		warnings: []
+	};
+}
+
+/** Resolve and read one tag the way the listener does; browse names must match exactly one variable. */
+async function resolveTag(tag, plc) {
+	const result = tagResult(tag, plc.config);
+	try {
+		let request = listenableTagReadRequest(tag, plc);
+		if (request.browseName) {
+			const candidates = await plc.driver.findVariableNodeIdsByBrowseName(request.browseName, request.browseOptions);
+			if (candidates.length !== 1) {
+				result.status = STATUS_FAILED;
+				result.candidates = candidates;
+				result.error = candidates.length === 0
+					? `No variable with browse name "${request.browseName}" under ${request.browseOptions.startingNodeId}`
+					: `Browse name "${request.browseName}" is ambiguous (${candidates.length} variables): narrow opcuaBrowseFrom or opcuaNamespacePrefix`;
+				return result;
+			}
+			request = { tagName: candidates[0], fieldPath: request.fieldPath };
+		}
+
+		const [read] = await plc.driver.readTags([request]);
+		result.address = read.nodeId || request.tagName;
+		if (read.error) {
+			result.status = STATUS_FAILED;
+			result.error = read.error;
+			return result;
+		}
+		result.status = STATUS_OK;
+		result.dataType = read.dataType || null;
+		result.value = read.value;
+		result.quality = read.quality || null;
+
+		if (read.quality === 'uncertain') {
+			result.warnings.push(`quality uncertain (${read.statusCode})`);
+		}
+		if (tag.deadband && typeof read.value !== 'number') {
+			result.warnings.push(`deadband set but the value is a ${typeof read.value}`);
+		}
+		if (tag.writeType && typeof read.value !== tag.writeType) {
+			result.warnings.push(`writeType ${tag.writeType} but the value is a ${typeof read.value}`);
+		}
+	} catch (error) {
+		result.status = STATUS_FAILED;
+		result.error = error.message;
+	}
+	return result;
+}
+
+function printReport(file, issues, results, offline) {
+	console.log(`\n -- Tag list: ${file} -- \n`);
+
+	for (const issue of issues.filter(issue => issue.tagCode === null)) {
+		console.log(`    ${issue.level.toUpperCase().padEnd(8)}${issue.message}`);
+	}
+
+	// Machines of the tags with issues or results
+	const machines = new Map();
+	const entry = machineCode => {
+		const key = machineCode || '(no machine)';
+		if (!machines.has(key)) {
+			machines.set(key, { results: [], issues: [] });
+		}
+		return machines.get(key);
+	};
+	for (const issue of issues.filter(issue => issue.tagCode !== null)) {
+		entry(issue.machineCode).issues.push(issue);
+	}
+	for (const result of results) {
+		entry(result.machineCode).results.push(result);
+	}
+
+	for (const [machine, { results: machineResults, issues: machineIssues }] of machines) {
+		const ok = machineResults.filter(result => result.status === STATUS_OK).length;
+		const failed = machineResults.length - ok;
+		const invalid = new Set(machineIssues.filter(issue => issue.level === 'error').map(issue => issue.tagCode)).size;
+		console.log(`\nMachine ${machine}: ${ok} ok, ${failed} failed, ${invalid} invalid`);
+
+		for (const issue of machineIssues) {
+			console.log(`    ${issue.level.toUpperCase().padEnd(8)}${issue.tagCode}: ${issue.message}`);
+		}
+		for (const result of machineResults) {
+			if (result.status === STATUS_OK) {
+				console.log(`    OK      ${result.tagCode} [${result.plc}] ${result.address} ${result.dataType || '?'} = ${formatValue(result.value)}`);
+			} else {
+				console.log(`    FAILED  ${result.tagCode} [${result.plc}] ${result.error}`);
+			}
+			(result.candidates || []).forEach(candidate => console.log(`                candidate: ${candidate}`));
+			result.warnings.forEach(warning => console.log(`    WARNING ${result.tagCode}: ${warning}`));
+		}
+	}
+
+	const errors = issues.filter(issue => issue.level === 'error').length;
+	const warnings = issues.length - errors + results.reduce((count, result) => count + result.warnings.length, 0);
+	const failed = results.filter(result => result.status === STATUS_FAILED).length;
+	console.log('');
+	console.log(offline
+		? ` -- ${errors} error(s), ${warnings} warning(s) (offline: tags not read) -- `
+		: ` -- ${results.length - failed} tag(s) ok, ${failed} failed, ${errors} error(s), ${warnings} warning(s) -- `);
+}
+
+function formatValue(value) {
+	const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+	return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
@@ -1,6 +1,6 @@
 'use strict'
 
-const sqlite3 = require('sqlite3').verbose();
+const queue = require('./queue');
 
 // Load configuration
 const config = require('./config.json');
@@ -14,44 +14,46 @@ main();
 async function main() {
 	try {
 		// Initialize database
-		db = await initializeDatabase(dbPath);
+		db = await queue.openQueueDatabase(dbPath, { readOnly: true });
 
 		// Get total count
-		const count = await getQueueCount(db);
+		const liveStatuses = [queue.STATUS_PENDING, queue.STATUS_RETRY];
+		const count = await queue.countJobs(db, liveStatuses);
+		const deadCount = await queue.countJobs(db, [queue.STATUS_DEAD]);
 		console.log(`\n -- Total jobs in queue: ${count} -- \n`);
 
 		if (count === 0) {
 			console.log(' -- Queue is empty -- ');
+			if (deadCount > 0) {
+				console.log(` -- ${deadCount} dead job(s), see dead-letter.js -- `);
+			}
 			await closeDatabase();
 			process.exit(0);
 		}
 
 		// Get jobs
-		const jobs = await getQueueJobs(db, limit);
+		const jobs = await queue.listJobs(db, liveStatuses, limit);
 		
 		console.log(` -- Showing ${jobs.length} job(s) (limit: ${limit}) -- \n`);
 
 		// Display jobs
 		jobs.forEach((row, index) => {
-			try {
-				const jobData = JSON.parse(row.job);
-				console.log(`[${index + 1}] ID: ${row.id}`);
-				console.log(`    Tag: ${jobData.tagCode}`);
-				console.log(`    Value: ${JSON.stringify(jobData.value)}`);
-				console.log(`    Date: ${jobData.date}`);
-				console.log('');
-			} catch (error) {
-				console.log(`[${index + 1}] ID: ${row.id}`);
-				console.log(`    Raw: ${row.job}`);
-				console.log(`    Error parsing: ${error.message}`);
-				console.log('');
+			console.log(`[${index + 1}] ID: ${row.id}`);
+			console.log(`    Tag: ${row.tagCode}${row.machineCode ? ` (${row.machineCode})` : ''}`);
+			console.log(`    Value: ${row.value} (${row.valueType}, ${row.quality})`);
+			console.log(`    Date: ${row.timestamp}${row.sourceTimestamp ? ` (PLC: ${row.sourceTimestamp})` : ''}`);
+			if (row.status === queue.STATUS_RETRY) {
+				console.log(`    Attempts: ${row.attempts}, next at ${new Date(row.nextAttemptAt).toISOString()}`);
+				console.log(`    Last error: ${row.lastError}`);
 			}
+			console.log('');
 		});
 
 		// Summary
 		console.log(' -- Summary -- ');
 		console.log(`Total in queue: ${count}`);
 		console.log(`Displayed: ${jobs.length}`);
+		console.log(`Dead: ${deadCount}`);
 		if (count > limit) {
 			console.log(`Hidden: ${count - limit}`);
 		}
@@ -66,59 +68,6 @@ async function main() {
 	}
 }
 
-function getQueueCount(db) {
-	return new Promise((resolve, reject) => {
-		const sql = 'SELECT COUNT(*) as count FROM QUEUE;';
-		db.get(sql, (err, row) => {
-			if (err) {
-				return reject(err);
-			}
-			resolve(row.count);
-		});
-	});
-}
-
-function getQueueJobs(db, limit) {
-	return new Promise((resolve, reject) => {
-		const sql = `SELECT id, job FROM QUEUE ORDER BY id ASC LIMIT ${limit};`;
-		db.all(sql, (err, rows) => {
-			if (err) {
-				return reject(err);
-			}
-			resolve(rows || []);
-		});
-	});
-}
-
-function initializeDatabase(dbPath) {
-	return new Promise(function (resolve, reject) {
-		const dbConnection = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, function (err) {
-			if (err) {
-				console.error(` -- Error opening database: ${err.message} -- `);
-				return reject(err);
-			} else {
-				console.log(` -- Connected to SQLite database: ${dbPath} -- `);
-			}
-		});
-
-		// Verify table exists
-		const query = "SELECT name FROM sqlite_master WHERE type='table' AND name='QUEUE';";
-		dbConnection.get(query, function (err, row) {
-			if (err) {
-				console.error(` -- Error checking table: ${err.message} -- `);
-				return reject(err);
-			}
-
-			if (!row) {
-				console.log(' -- Table QUEUE does not exist -- ');
-				return reject(new Error('Table QUEUE does not exist'));
-			}
-
-			resolve(dbConnection);
-		});
-	});
-}
-
 function closeDatabase() {
 	return new Promise((resolve) => {
 		if (db) {
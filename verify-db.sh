@@ -1,4 +1,4 @@
 cp tag-queue.db tag-queue-verify.db
-node verify-db.js
+node queue.js migrate tag-queue-verify.db
+node verify-db.js tag-queue-verify.db
 rm tag-queue-verify.db
-